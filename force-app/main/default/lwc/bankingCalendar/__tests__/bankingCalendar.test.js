@@ -0,0 +1,53 @@
+import {
+    adjustDraftDate,
+    isBankingDay,
+    getNonBankingReason,
+    describeAdjustment,
+    WEEKENDS_ONLY,
+    ROLL_PREVIOUS
+} from 'c/bankingCalendar';
+
+// Same fixtures BankingCalendarParityTest.cls runs through BankingCalendarService.adjust
+const parity = require('../../../staticresources/BankingCalendarParityFixtures.json');
+
+describe('c-banking-calendar', () => {
+    describe('parity with Apex BankingCalendarService.adjust', () => {
+        it('has fixtures to run', () => {
+            expect(parity.fixtures.length).toBeGreaterThan(0);
+        });
+
+        it.each(parity.fixtures.map((f) => [f.name, f]))('%s', (name, fixture) => {
+            const result = adjustDraftDate(fixture.date, parity.calendar, fixture.rollDirection);
+
+            expect(result.date).toBe(fixture.expected.date);
+            expect(result.reason).toBe(fixture.expected.reason);
+            expect(result.originalDate).toBe(fixture.date);
+            expect(result.isAdjusted).toBe(fixture.expected.date !== fixture.date);
+        });
+    });
+
+    describe('banking days', () => {
+        it('treats weekends and calendar holidays as non-banking days', () => {
+            expect(isBankingDay('2026-01-16', parity.calendar)).toBe(true);
+            expect(isBankingDay('2026-01-19', parity.calendar)).toBe(false);
+            expect(getNonBankingReason('2026-01-18', parity.calendar)).toBe('Sunday');
+        });
+
+        it('only rolls weekends before the org calendar has loaded', () => {
+            expect(adjustDraftDate('2026-01-19', WEEKENDS_ONLY).isAdjusted).toBe(false);
+            expect(adjustDraftDate('2026-01-17', WEEKENDS_ONLY, ROLL_PREVIOUS).date).toBe('2026-01-16');
+        });
+
+        it('treats unreadable dates as neither banking nor adjustable', () => {
+            expect(isBankingDay('not a date', parity.calendar)).toBe(false);
+            expect(adjustDraftDate('not a date', parity.calendar).isAdjusted).toBe(false);
+        });
+    });
+
+    describe('describeAdjustment', () => {
+        it('names the original date and the reason it moved', () => {
+            expect(describeAdjustment('2026-05-25', 'Memorial Day')).toBe('Moved from Mon, 05/25/2026 (Memorial Day)');
+            expect(describeAdjustment('', 'Saturday')).toBe('');
+        });
+    });
+});
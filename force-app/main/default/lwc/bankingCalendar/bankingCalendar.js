@@ -0,0 +1,129 @@
+/**
+ * Client-side banking-day calendar.
+ *
+ * Mirror of BankingCalendarService: a banking day is a weekday that is not an active
+ * Bank_Holiday__mdt date, and a draft that lands on any other day rolls to the next (or
+ * previous) banking day per Payment_Calc_Config__mdt.Non_Banking_Day_Roll__c. Shared by
+ * paymentCalcEngine, paymentPlanEditor and segmentBuilder so every scheduling path in the
+ * UI moves dates the same way Apex does. The parity suite (__tests__/bankingCalendar.test.js
+ * and BankingCalendarParityTest.cls) runs staticresources/BankingCalendarParityFixtures.json
+ * against both implementations.
+ *
+ * Calendars have the shape of BankingCalendarService.CalendarDTO:
+ *   { rollDirection: 'Next' | 'Previous', holidays: [{ holidayDate: 'YYYY-MM-DD', name }] }
+ */
+import getBankingCalendar from '@salesforce/apex/BankingCalendarService.getBankingCalendar';
+
+export const ROLL_NEXT = 'Next';
+export const ROLL_PREVIOUS = 'Previous';
+
+// Weekends only, rolling forward - what applies before the CMDT calendar has loaded
+export const WEEKENDS_ONLY = Object.freeze({ rollDirection: ROLL_NEXT, holidays: [] });
+
+// Longest run of non-banking days we expect (holiday + weekend); guards against bad data
+const MAX_ROLL_DAYS = 10;
+
+const WEEKEND_NAMES = { 0: 'Sunday', 6: 'Saturday' };
+
+const DISPLAY_FORMATTER = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: '2-digit',
+    day: '2-digit',
+    year: 'numeric',
+    timeZone: 'UTC'
+});
+
+let calendarPromise = null;
+const holidayMaps = new WeakMap();
+
+/**
+ * Loads the org calendar once per page; later callers share the same promise.
+ * @returns {Promise<Object>} CalendarDTO
+ */
+export function loadBankingCalendar() {
+    if (!calendarPromise) {
+        calendarPromise = getBankingCalendar().catch(error => {
+            calendarPromise = null;
+            throw error;
+        });
+    }
+    return calendarPromise;
+}
+
+// Dates are handled in UTC so YYYY-MM-DD strings never shift with the browser zone
+function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function holidayMap(calendar) {
+    const source = calendar || WEEKENDS_ONLY;
+    let map = holidayMaps.get(source);
+    if (!map) {
+        map = new Map((source.holidays || []).map(holiday => [holiday.holidayDate, holiday.name]));
+        holidayMaps.set(source, map);
+    }
+    return map;
+}
+
+/**
+ * Why a date is not a banking day: the holiday name, 'Saturday' or 'Sunday'; null for banking days
+ * @param {String} isoDate YYYY-MM-DD
+ * @param {Object} calendar CalendarDTO
+ */
+export function getNonBankingReason(isoDate, calendar) {
+    const date = parseIsoDate(isoDate);
+    if (!date) {
+        return null;
+    }
+    const holiday = holidayMap(calendar).get(formatIsoDate(date));
+    return holiday || WEEKEND_NAMES[date.getUTCDay()] || null;
+}
+
+export function isBankingDay(isoDate, calendar) {
+    return !!parseIsoDate(isoDate) && getNonBankingReason(isoDate, calendar) === null;
+}
+
+/**
+ * Moves a draft date onto a banking day.
+ * @param {String} isoDate YYYY-MM-DD
+ * @param {Object} calendar CalendarDTO
+ * @param {String} rollDirection Optional override of calendar.rollDirection
+ * @returns {Object} { date, originalDate, reason, isAdjusted } - date is the banking day to use
+ */
+export function adjustDraftDate(isoDate, calendar, rollDirection) {
+    const unchanged = { date: isoDate, originalDate: isoDate, reason: null, isAdjusted: false };
+    const reason = getNonBankingReason(isoDate, calendar);
+    if (!reason) {
+        return unchanged;
+    }
+
+    const direction = rollDirection || calendar?.rollDirection;
+    const step = direction === ROLL_PREVIOUS ? -1 : 1;
+    const candidate = parseIsoDate(isoDate);
+    for (let i = 0; i < MAX_ROLL_DAYS; i++) {
+        candidate.setUTCDate(candidate.getUTCDate() + step);
+        const candidateIso = formatIsoDate(candidate);
+        if (!getNonBankingReason(candidateIso, calendar)) {
+            return { date: candidateIso, originalDate: isoDate, reason, isAdjusted: true };
+        }
+    }
+    throw new Error(`No banking day found within ${MAX_ROLL_DAYS} days of ${isoDate}`);
+}
+
+/**
+ * Short explanation for flagging a moved date, e.g. "Moved from Mon, 05/25/2026 (Memorial Day)"
+ * @param {String} originalDate YYYY-MM-DD the draft was scheduled for
+ * @param {String} reason Holiday name or weekday
+ */
+export function describeAdjustment(originalDate, reason) {
+    const date = parseIsoDate(originalDate);
+    if (!date) {
+        return '';
+    }
+    return `Moved from ${DISPLAY_FORMATTER.format(date)} (${reason})`;
+}
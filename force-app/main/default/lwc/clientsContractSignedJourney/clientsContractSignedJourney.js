@@ -1,15 +1,95 @@
 import { LightningElement, track, wire } from 'lwc';
-import getOpportunityJourneys from '@salesforce/apex/OpportunityJourneyController.getOpportunityJourneys';
+import getJourneyPage from '@salesforce/apex/OpportunityJourneyController.getJourneyPage';
+import getJourneyOwners from '@salesforce/apex/OpportunityJourneyController.getJourneyOwners';
+import getViews from '@salesforce/apex/JourneyViewController.getViews';
+import saveView from '@salesforce/apex/JourneyViewController.saveView';
+import deleteView from '@salesforce/apex/JourneyViewController.deleteView';
+import pinTeamDefault from '@salesforce/apex/JourneyViewController.pinTeamDefault';
 import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 
+const STAGE_FILTERS = [
+    { label: 'All', value: 'all' },
+    { label: 'Contract Signed', value: 'contractSigned' },
+    { label: 'Enrolled', value: 'enrolled' },
+    { label: 'NSF', value: 'nsf' },
+    { label: 'Cancelled', value: 'cancelled' }
+];
+
+// Optional columns; Opportunity is always shown
+const COLUMN_OPTIONS = [
+    { label: 'Tier', value: 'tier' },
+    { label: 'Stage', value: 'stage' },
+    { label: 'Progress', value: 'progress' },
+    { label: 'Total Debt', value: 'debt' },
+    { label: 'Settled', value: 'settled' },
+    { label: 'Enrollment', value: 'enrollment' },
+    { label: 'Contract Date', value: 'contractDate' },
+    { label: 'Owner', value: 'owner' },
+    { label: 'NSF Count', value: 'nsfCount' }
+];
+const DEFAULT_COLUMNS = ['tier', 'stage', 'progress', 'debt', 'settled', 'enrollment'];
+
+const TIER_OPTIONS = [
+    { label: 'Tier 1', value: 'Tier 1' },
+    { label: 'Tier 2', value: 'Tier 2' },
+    { label: 'Tier 3', value: 'Tier 3' }
+];
+
+// The built-in board, used when no saved view is selected
+const STANDARD_VIEW = {
+    columns: DEFAULT_COLUMNS,
+    filter: 'all',
+    progressFilter: 'all',
+    conditions: {},
+    sortBy: 'created',
+    sortDirection: 'desc'
+};
+const STANDARD_VIEW_ID = 'standard';
+
+const PROGRESS_FILTER_OPTIONS = [
+    { label: 'Any settlement progress', value: 'all' },
+    { label: 'Not started', value: 'notStarted' },
+    { label: 'In progress', value: 'inProgress' },
+    { label: 'Fully resolved', value: 'resolved' }
+];
+
+// Columns whose first click sorts A-Z; the rest start with the largest value
+const ASCENDING_FIRST = ['name', 'stage', 'tier', 'owner'];
+const SORTABLE_COLUMNS = ['name', 'stage', 'debt', 'settlement', 'enrollment', 'tier', 'contractDate', 'owner', 'nsfCount'];
+
+// Wait for the user to stop typing before querying
+const SEARCH_DELAY = 300;
+
 export default class ClientsContractSignedJourney extends NavigationMixin(LightningElement) {
     @track opportunities = [];
     @track filteredOpportunities = [];
     @track searchTerm = '';
+    @track searchKey = '';
     @track currentFilter = 'all';
+    @track progressFilter = 'all';
+    @track sortBy = 'created';
+    @track sortDirection = 'desc';
     @track isLoading = true;
+
+    // Board configuration; conditions only reach the query once applied
+    @track visibleColumns = [...DEFAULT_COLUMNS];
+    @track appliedConditions = {};
+    @track conditionDraft = {};
+    @track showConditions = false;
+    @track showColumnsModal = false;
+    @track columnDraft = [];
+
+    // Saved views
+    @track views = [];
+    @track selectedViewId = STANDARD_VIEW_ID;
+    @track teamDefaultId;
+    @track canPinTeamDefault = false;
+    @track showSaveViewModal = false;
+    @track viewName = '';
+    @track isViewBusy = false;
+    @track ownerOptions = [];
     
     @track expandedOpportunityId = null;
     @track showWelcomePanel = false;
@@ -17,30 +97,38 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
     @track currentPage = 1;
     @track pageSize = 25;
     @track totalRecords = 0;
-
-    @track totalOpportunities = 0;
-    @track contractSignedOpportunities = 0;
-    @track enrolledOpportunities = 0;
-    @track nsfOpportunities = 0;
-    @track totalDebt = 0;
-    
-    @track filteredTotalOpportunities = 0;
-    @track filteredContractSignedOpportunities = 0;
-    @track filteredEnrolledOpportunities = 0;
-    @track filteredNsfOpportunities = 0;
-    @track filteredTotalDebt = 0;
-
-    wiredOpportunitiesResult;
-    allFilteredOpportunities = [];
-
-    @wire(getOpportunityJourneys)
-    wiredOpportunities(result) {
-        this.wiredOpportunitiesResult = result;
+    @track hasMore = false;
+    // Matches beyond the server's paging or settlement scan limits
+    @track isTruncated = false;
+
+    // Aggregates for every match, not just the current page
+    @track stats = {};
+
+    wiredJourneyPageResult;
+    searchTimeout;
+
+    @wire(getJourneyPage, {
+        filter: '$currentFilter',
+        searchTerm: '$searchKey',
+        progressFilter: '$progressFilter',
+        conditions: '$appliedConditions',
+        sortBy: '$sortBy',
+        sortDirection: '$sortDirection',
+        pageNumber: '$currentPage',
+        pageSize: '$pageSize'
+    })
+    wiredJourneyPage(result) {
+        this.wiredJourneyPageResult = result;
         if (result.data) {
-            this.opportunities = result.data.map(opp => this.processOpportunityData(opp));
-            this.calculateStats();
-            this.loadSettlementData();
-            this.applyCurrentFilter();
+            const { records, progress, totalRecords, stats, hasMore, isTruncated } = result.data;
+            this.opportunities = records.map(opp =>
+                this.applySettlementProgress(this.processOpportunityData(opp), progress[opp.Id])
+            );
+            this.totalRecords = totalRecords;
+            this.hasMore = hasMore;
+            this.isTruncated = isTruncated;
+            this.stats = stats || {};
+            this.showPage();
             this.isLoading = false;
             this.triggerProgressAnimations();
         } else if (result.error) {
@@ -49,20 +137,56 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
             this.isLoading = false;
         }
     }
-    
-    async loadSettlementData() {
-        // For now, use placeholder settlement data until the Apex methods can be deployed
-        // TODO: Replace with actual getOpportunitySummary call once test coverage is achieved
-        this.opportunities = this.opportunities.map(opp => {
-            return {
-                ...opp,
-                settledAmount: 0, // Placeholder value
-                settledDisplay: this.formatCurrency(0)
-            };
-        });
-        
-        // Re-apply current filter to update the display
-        this.applyCurrentFilter();
+
+    @wire(getJourneyOwners)
+    wiredOwners({ data, error }) {
+        if (data) {
+            this.ownerOptions = [{ label: 'Any owner', value: '' }, ...data];
+        } else if (error) {
+            console.error('Error loading owners:', error);
+        }
+    }
+
+    connectedCallback() {
+        this.loadViews(true);
+    }
+
+    /**
+     * Loads the view picker. On first load the team default, when pinned, replaces the standard board.
+     */
+    loadViews(applyTeamDefault) {
+        return getViews()
+            .then(result => {
+                this.views = result.views || [];
+                this.teamDefaultId = result.teamDefaultId;
+                this.canPinTeamDefault = result.canPinTeamDefault;
+                if (applyTeamDefault && this.teamDefaultId) {
+                    this.selectView(this.teamDefaultId);
+                }
+            })
+            .catch(error => {
+                this.showToast('Error', 'Error loading views: ' + (error.body?.message || error.message), 'error');
+            });
+    }
+
+    applySettlementProgress(opportunity, progress) {
+        const settled = progress || {};
+        const creditorsEnrolled = settled.creditorsEnrolled || 0;
+        const creditorsSettled = settled.creditorsSettled || 0;
+        const percentResolved = Number(settled.percentResolved) || 0;
+
+        return {
+            ...opportunity,
+            settledAmount: settled.settledAmount || 0,
+            creditorsEnrolled,
+            creditorsSettled,
+            percentResolved,
+            settledDisplay: this.formatCurrency(settled.settledAmount),
+            creditorsSettledDisplay: creditorsEnrolled
+                ? `${creditorsSettled} of ${creditorsEnrolled} creditors`
+                : 'No creditors enrolled',
+            percentResolvedDisplay: `${percentResolved}% resolved`
+        };
     }
 
     processOpportunityData(opportunity) {
@@ -90,8 +214,10 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
             dateClass: daysDiff <= 7 ? 'date-recent' : '',
             
             debtFormatted: this.formatCurrency(opportunity.Estimated_Total_Debt__c || opportunity.Amount),
-            settledDisplay: 'Loading...', // Will be updated asynchronously
             enrollmentFormatted: this.formatDate(opportunity.First_Draft_Date__c),
+            contractDateFormatted: this.formatDate(opportunity.CloseDate),
+            ownerName: opportunity.Owner ? opportunity.Owner.Name : '',
+            nsfCountDisplay: opportunity.NSF_Count__c || 0,
             
             isNew: daysDiff <= 7,
             isUrgent: opportunity.Tier__c === 'Tier 3' || opportunity.StageName === 'NSF',
@@ -101,97 +227,302 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
         };
     }
 
-    get allFilterClass() {
-        return this.currentFilter === 'all' ? 'brand' : 'neutral';
+    get stageFilters() {
+        return STAGE_FILTERS.map(stageFilter => ({
+            ...stageFilter,
+            variant: this.currentFilter === stageFilter.value ? 'brand' : 'neutral'
+        }));
     }
 
-    get contractSignedFilterClass() {
-        return this.currentFilter === 'contractSigned' ? 'brand' : 'neutral';
+    handleStageFilter(event) {
+        this.updateQuery({ currentFilter: event.currentTarget.dataset.filter });
     }
 
-    get enrolledFilterClass() {
-        return this.currentFilter === 'enrolled' ? 'brand' : 'neutral';
+    get querySignature() {
+        return JSON.stringify([
+            this.currentFilter, this.searchKey, this.progressFilter, this.appliedConditions,
+            this.sortBy, this.sortDirection, this.currentPage
+        ]);
     }
 
-    get nsfFilterClass() {
-        return this.currentFilter === 'nsf' ? 'brand' : 'neutral';
+    // Any change to the query starts again from the first page; the wire refetches
+    updateQuery(changes) {
+        const before = this.querySignature;
+        Object.assign(this, changes, { currentPage: 1 });
+        if (this.querySignature !== before) {
+            this.isLoading = true;
+        }
     }
 
-    get cancelledFilterClass() {
-        return this.currentFilter === 'cancelled' ? 'brand' : 'neutral';
+    get progressFilterOptions() {
+        return PROGRESS_FILTER_OPTIONS;
     }
 
-    handleFilterAll() {
-        this.currentFilter = 'all';
-        this.applyCurrentFilter();
+    get sortIcons() {
+        const icons = {};
+        SORTABLE_COLUMNS.forEach(column => {
+            if (column !== this.sortBy) {
+                icons[column] = 'utility:sort';
+            } else {
+                icons[column] = this.sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown';
+            }
+        });
+        return icons;
     }
 
-    handleFilterContractSigned() {
-        this.currentFilter = 'contractSigned';
-        this.applyCurrentFilter();
+    handleProgressFilterChange(event) {
+        this.updateQuery({ progressFilter: event.detail.value });
     }
 
-    handleFilterEnrolled() {
-        this.currentFilter = 'enrolled';
-        this.applyCurrentFilter();
+    handleSort(event) {
+        const column = event.currentTarget.dataset.sort;
+        if (column === this.sortBy) {
+            this.updateQuery({ sortDirection: this.sortDirection === 'asc' ? 'desc' : 'asc' });
+        } else {
+            this.updateQuery({
+                sortBy: column,
+                sortDirection: ASCENDING_FIRST.includes(column) ? 'asc' : 'desc'
+            });
+        }
     }
 
-    handleFilterNSF() {
-        this.currentFilter = 'nsf';
-        this.applyCurrentFilter();
+    // Columns
+
+    get columns() {
+        const columns = {};
+        this.visibleColumns.forEach(column => {
+            columns[column] = true;
+        });
+        return columns;
     }
 
-    handleFilterCancelled() {
-        this.currentFilter = 'cancelled';
-        this.applyCurrentFilter();
+    get columnOptions() {
+        return COLUMN_OPTIONS;
     }
 
-    handleSearch(event) {
-        this.searchTerm = event.target.value.toLowerCase();
-        this.applyCurrentFilter();
+    get expandedColspan() {
+        return this.visibleColumns.length + 1;
+    }
+
+    handleOpenColumns() {
+        this.columnDraft = [...this.visibleColumns];
+        this.showColumnsModal = true;
+    }
+
+    handleColumnDraftChange(event) {
+        this.columnDraft = event.detail.value;
+    }
+
+    handleApplyColumns() {
+        // Keep the table's column order whatever order the boxes were ticked in
+        this.visibleColumns = COLUMN_OPTIONS
+            .map(option => option.value)
+            .filter(column => this.columnDraft.includes(column));
+        this.showColumnsModal = false;
+    }
+
+    handleCloseColumns() {
+        this.showColumnsModal = false;
+    }
+
+    // Conditions
+
+    get tierOptions() {
+        return TIER_OPTIONS;
+    }
+
+    get activeConditionCount() {
+        return Object.values(this.appliedConditions)
+            .filter(value => (Array.isArray(value) ? value.length > 0 : value !== '' && value != null))
+            .length;
+    }
+
+    get conditionsButtonLabel() {
+        return this.activeConditionCount ? `Conditions (${this.activeConditionCount})` : 'Conditions';
+    }
+
+    handleToggleConditions() {
+        this.conditionDraft = { ...this.appliedConditions };
+        this.showConditions = !this.showConditions;
+    }
+
+    handleConditionChange(event) {
+        const field = event.target.dataset.field;
+        this.conditionDraft = { ...this.conditionDraft, [field]: event.detail.value };
     }
 
-    applyCurrentFilter() {
-        let filtered = [...this.opportunities];
+    handleApplyConditions() {
+        const conditions = {};
+        Object.keys(this.conditionDraft).forEach(field => {
+            const value = this.conditionDraft[field];
+            if (Array.isArray(value) ? value.length > 0 : value !== '' && value != null) {
+                conditions[field] = value;
+            }
+        });
+        this.updateQuery({ appliedConditions: conditions });
+    }
+
+    handleClearConditions() {
+        this.conditionDraft = {};
+        this.updateQuery({ appliedConditions: {} });
+    }
+
+    // Saved views
+
+    get viewOptions() {
+        return [
+            { label: 'Standard view', value: STANDARD_VIEW_ID },
+            ...this.views.map(view => ({
+                label: view.id === this.teamDefaultId ? `${view.name} (Team default)` : view.name,
+                value: view.id
+            }))
+        ];
+    }
+
+    get selectedView() {
+        return this.views.find(view => view.id === this.selectedViewId);
+    }
 
-        switch(this.currentFilter) {
-            case 'contractSigned':
-                filtered = filtered.filter(o => o.StageName === 'Contract Signed');
+    get isDeleteViewDisabled() {
+        return !this.selectedView || !this.selectedView.isOwner;
+    }
+
+    get isPinViewDisabled() {
+        return !this.selectedView || this.selectedViewId === this.teamDefaultId;
+    }
+
+    get isUnpinViewDisabled() {
+        return !this.teamDefaultId;
+    }
+
+    get isSaveViewDisabled() {
+        return this.isViewBusy || !this.viewName || !this.viewName.trim();
+    }
+
+    handleViewSelect(event) {
+        this.selectView(event.detail.value);
+    }
+
+    selectView(viewId) {
+        const view = this.views.find(candidate => candidate.id === viewId);
+        this.selectedViewId = view ? view.id : STANDARD_VIEW_ID;
+        this.applyViewConfig(view ? { ...STANDARD_VIEW, ...view.config } : STANDARD_VIEW);
+    }
+
+    applyViewConfig(config) {
+        const known = COLUMN_OPTIONS.map(option => option.value);
+        this.visibleColumns = (config.columns || DEFAULT_COLUMNS).filter(column => known.includes(column));
+        this.conditionDraft = { ...(config.conditions || {}) };
+        this.updateQuery({
+            currentFilter: config.filter,
+            progressFilter: config.progressFilter,
+            appliedConditions: { ...(config.conditions || {}) },
+            sortBy: config.sortBy,
+            sortDirection: config.sortDirection
+        });
+    }
+
+    get currentViewConfig() {
+        return {
+            columns: this.visibleColumns,
+            filter: this.currentFilter,
+            progressFilter: this.progressFilter,
+            conditions: this.appliedConditions,
+            sortBy: this.sortBy,
+            sortDirection: this.sortDirection
+        };
+    }
+
+    handleViewMenuSelect(event) {
+        switch (event.detail.value) {
+            case 'save':
+                this.viewName = this.selectedView && this.selectedView.isOwner ? this.selectedView.name : '';
+                this.showSaveViewModal = true;
                 break;
-            case 'enrolled':
-                filtered = filtered.filter(o => o.StageName === 'Enrolled');
+            case 'delete':
+                this.handleDeleteView();
                 break;
-            case 'nsf':
-                filtered = filtered.filter(o => o.StageName === 'NSF');
+            case 'pin':
+                this.handlePinTeamDefault(this.selectedViewId);
                 break;
-            case 'cancelled':
-                filtered = filtered.filter(o => o.StageName === 'Cancelled');
+            case 'unpin':
+                this.handlePinTeamDefault(null);
+                break;
+            case 'columns':
+                this.handleOpenColumns();
+                break;
+            default:
                 break;
         }
+    }
 
-        if (this.searchTerm) {
-            filtered = filtered.filter(opportunity => 
-                (opportunity.Name && opportunity.Name.toLowerCase().includes(this.searchTerm)) ||
-                (opportunity.StageName && opportunity.StageName.toLowerCase().includes(this.searchTerm)) ||
-                (opportunity.Tier__c && opportunity.Tier__c.toLowerCase().includes(this.searchTerm))
-            );
-        }
+    handleViewNameChange(event) {
+        this.viewName = event.detail.value;
+    }
 
-        this.allFilteredOpportunities = filtered;
-        this.totalRecords = filtered.length;
-        this.currentPage = 1;
-        this.paginateResults();
-        
-        this.updateStatistics(filtered);
+    handleCloseSaveView() {
+        this.showSaveViewModal = false;
     }
 
-    paginateResults() {
-        if (!this.allFilteredOpportunities) {
-            this.allFilteredOpportunities = [];
-        }
-        const start = (this.currentPage - 1) * this.pageSize;
-        const end = start + this.pageSize;
-        this.filteredOpportunities = this.allFilteredOpportunities.slice(start, end).map(opportunity => ({
+    handleConfirmSaveView() {
+        this.isViewBusy = true;
+        saveView({ viewName: this.viewName, config: this.currentViewConfig })
+            .then(saved => {
+                this.showSaveViewModal = false;
+                this.showToast('Success', `View "${saved.name}" saved`, 'success');
+                return this.loadViews(false).then(() => {
+                    this.selectedViewId = saved.id;
+                });
+            })
+            .catch(error => {
+                this.showToast('Error', error.body.message, 'error');
+            })
+            .finally(() => {
+                this.isViewBusy = false;
+            });
+    }
+
+    handleDeleteView() {
+        const view = this.selectedView;
+        if (!view) return;
+
+        deleteView({ viewId: view.id })
+            .then(() => {
+                this.showToast('Success', `View "${view.name}" deleted`, 'success');
+                return this.loadViews(false);
+            })
+            .then(() => {
+                this.selectView(STANDARD_VIEW_ID);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body.message, 'error');
+            });
+    }
+
+    handlePinTeamDefault(viewId) {
+        pinTeamDefault({ viewId })
+            .then(() => {
+                this.showToast('Success', viewId ? 'Team default view pinned' : 'Team default view cleared', 'success');
+                return this.loadViews(false);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body.message, 'error');
+            });
+    }
+
+    handleSearch(event) {
+        this.searchTerm = event.target.value;
+        clearTimeout(this.searchTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimeout = setTimeout(() => {
+            if (this.searchKey !== this.searchTerm.trim()) {
+                this.updateQuery({ searchKey: this.searchTerm.trim() });
+            }
+        }, SEARCH_DELAY);
+    }
+
+    showPage() {
+        this.filteredOpportunities = this.opportunities.map(opportunity => ({
             ...opportunity,
             showWelcomePanel: opportunity.Id === this.expandedOpportunityId
         }));
@@ -270,15 +601,15 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
 
     handlePrevious() {
         if (this.currentPage > 1) {
+            this.isLoading = true;
             this.currentPage--;
-            this.paginateResults();
         }
     }
 
     handleNext() {
-        if (this.currentPage < this.totalPages) {
+        if (this.hasMore) {
+            this.isLoading = true;
             this.currentPage++;
-            this.paginateResults();
         }
     }
 
@@ -298,86 +629,52 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
         return Math.min(this.currentPage * this.pageSize, this.totalRecords);
     }
 
-    get totalPages() {
-        return Math.ceil(this.totalRecords / this.pageSize);
-    }
-
     get isFirstPage() {
         return this.currentPage === 1;
     }
 
+    get truncatedMessage() {
+        if (this.progressFilter !== 'all' || this.sortBy === 'settlement') {
+            return 'Settlement progress filters and sorting cover the 2,000 newest matches. Narrow the search or filters to include the rest.';
+        }
+        return 'Only the first 2,000 matches can be paged through. Narrow the search or filters to see the rest.';
+    }
+
     get isLastPage() {
-        return this.currentPage === this.totalPages;
+        return !this.hasMore;
     }
 
     get totalDebtFormatted() {
-        return this.formatCurrency(this.filteredTotalDebt);
+        return this.formatCurrency(this.stats.totalDebt);
+    }
+
+    get settledAmountFormatted() {
+        return this.formatCurrency(this.stats.settledAmount);
+    }
+
+    get percentResolvedDisplay() {
+        if (!this.stats.enrolledDebt) return '0%';
+        return `${Math.round(this.stats.resolvedDebt * 1000 / this.stats.enrolledDebt) / 10}%`;
     }
     
     get displayTotalOpportunities() {
-        return this.filteredTotalOpportunities;
+        return this.stats.total || 0;
     }
     
     get displayContractSignedOpportunities() {
-        return this.filteredContractSignedOpportunities;
+        return this.stats.contractSigned || 0;
     }
     
     get displayEnrolledOpportunities() {
-        return this.filteredEnrolledOpportunities;
+        return this.stats.enrolled || 0;
     }
     
     get displayNsfOpportunities() {
-        return this.filteredNsfOpportunities;
+        return this.stats.nsf || 0;
     }
     
     get displayCancelledOpportunities() {
-        return this.filteredCancelledOpportunities;
-    }
-
-    calculateStats() {
-        if (!this.opportunities || !Array.isArray(this.opportunities)) {
-            this.totalOpportunities = 0;
-            this.contractSignedOpportunities = 0;
-            this.enrolledOpportunities = 0;
-            this.nsfOpportunities = 0;
-            this.cancelledOpportunities = 0;
-            this.totalDebt = 0;
-            return;
-        }
-        
-        this.totalOpportunities = this.opportunities.length;
-        this.contractSignedOpportunities = this.opportunities.filter(o => o && o.StageName === 'Contract Signed').length;
-        this.enrolledOpportunities = this.opportunities.filter(o => o && o.StageName === 'Enrolled').length;
-        this.nsfOpportunities = this.opportunities.filter(o => o && o.StageName === 'NSF').length;
-        this.cancelledOpportunities = this.opportunities.filter(o => o && o.StageName === 'Cancelled').length;
-        this.totalDebt = this.opportunities.reduce((sum, opportunity) => {
-            const debt = opportunity && (opportunity.Estimated_Total_Debt__c || opportunity.Amount) ? 
-                        Number(opportunity.Estimated_Total_Debt__c || opportunity.Amount) : 0;
-            return sum + (isNaN(debt) ? 0 : debt);
-        }, 0);
-    }
-    
-    updateStatistics(filteredOpportunities) {
-        if (!filteredOpportunities || !Array.isArray(filteredOpportunities)) {
-            this.filteredTotalOpportunities = 0;
-            this.filteredContractSignedOpportunities = 0;
-            this.filteredEnrolledOpportunities = 0;
-            this.filteredNsfOpportunities = 0;
-            this.filteredCancelledOpportunities = 0;
-            this.filteredTotalDebt = 0;
-            return;
-        }
-        
-        this.filteredTotalOpportunities = filteredOpportunities.length;
-        this.filteredContractSignedOpportunities = filteredOpportunities.filter(o => o && o.StageName === 'Contract Signed').length;
-        this.filteredEnrolledOpportunities = filteredOpportunities.filter(o => o && o.StageName === 'Enrolled').length;
-        this.filteredNsfOpportunities = filteredOpportunities.filter(o => o && o.StageName === 'NSF').length;
-        this.filteredCancelledOpportunities = filteredOpportunities.filter(o => o && o.StageName === 'Cancelled').length;
-        this.filteredTotalDebt = filteredOpportunities.reduce((sum, opportunity) => {
-            const debt = opportunity && (opportunity.Estimated_Total_Debt__c || opportunity.Amount) ? 
-                        Number(opportunity.Estimated_Total_Debt__c || opportunity.Amount) : 0;
-            return sum + (isNaN(debt) ? 0 : debt);
-        }, 0);
+        return this.stats.cancelled || 0;
     }
 
     getProgressValue(progressText) {
@@ -475,6 +772,8 @@ export default class ClientsContractSignedJourney extends NavigationMixin(Lightn
 
     refreshData() {
         this.isLoading = true;
-        return refreshApex(this.wiredOpportunitiesResult);
+        return refreshApex(this.wiredJourneyPageResult).finally(() => {
+            this.isLoading = false;
+        });
     }
 }
\ No newline at end of file
@@ -1,11 +1,23 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
+import LightningConfirm from 'lightning/confirm';
 
 import getNegotiations from '@salesforce/apex/NegotiationController.getNegotiations';
 import createNegotiation from '@salesforce/apex/NegotiationController.createNegotiation';
 import recordPayment from '@salesforce/apex/NegotiationController.recordPayment';
 import updateNegotiation from '@salesforce/apex/NegotiationController.updateNegotiation';
+import getSettlementOfferContext from '@salesforce/apex/NegotiationController.getSettlementOfferContext';
+import createSettlementSchedule from '@salesforce/apex/NegotiationController.createSettlementSchedule';
+import getCreditorNegotiationStats from '@salesforce/apex/NegotiationController.getCreditorNegotiationStats';
+
+// Status the creditor has accepted; only these can become a settlement schedule
+const SETTLED_STATUS = 'Settled';
+const DEFAULT_FIRST_PAYMENT_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const VIEW_TABLE = 'table';
+const VIEW_TIMELINE = 'timeline';
 
 const NEGOTIATION_COLUMNS = [
     { 
@@ -75,6 +87,7 @@ const NEGOTIATION_COLUMNS = [
             rowActions: [
                 { label: 'Set Active', name: 'set_active' },
                 { label: 'Record Payment', name: 'record_payment' },
+                { label: 'Create Settlement Schedule', name: 'create_schedule' },
                 { label: 'Edit', name: 'edit' },
                 { label: 'View Details', name: 'view' }
             ] 
@@ -82,6 +95,81 @@ const NEGOTIATION_COLUMNS = [
     }
 ];
 
+function toIsoDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Mirrors Apex Date.addMonths (used for Monthly settlement segments): the day clamps to month end
+function addMonthsIso(iso, months) {
+    const [year, month, day] = iso.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+    return toIsoDate(new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))));
+}
+
+/**
+ * Escrow the client can spend on a date: the projected balance after the last draft on or
+ * before it, less settlement payments already scheduled for other creditors by then.
+ */
+function availableEscrowOn(iso, context) {
+    let balance = 0;
+    for (const point of context.escrowProjection) {
+        if (point.pointDate > iso) {
+            break;
+        }
+        balance = point.amount || 0;
+    }
+    const committed = context.committedPayments
+        .filter(payment => payment.pointDate <= iso)
+        .reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    return balance - committed;
+}
+
+/**
+ * Fees SettlementFeeCalculator charges per monthly payment: commission, bank and EPPS
+ * transaction fee, plus the EPPS true-up since each month carries a single payment.
+ */
+function feePerMonthlyPayment(context) {
+    const eppsFee = context.eppsTransactionFee || 0;
+    const trueUp = Math.max(0, (context.eppsMonthlyMinimum || 0) - eppsFee);
+    return (context.commissionFee || 0) + (context.bankFee || 0) + eppsFee + trueUp;
+}
+
+/**
+ * Walks the installments in date order and reports the first one escrow cannot cover.
+ * Installments split like a SolveAmount segment: equal payments, last one takes the remainder.
+ */
+function checkFunding(amount, installments, firstPaymentDate, context) {
+    const fee = feePerMonthlyPayment(context);
+    const payment = roundCents(amount / installments);
+    let needed = 0;
+    let shortfall = null;
+    let lastPaymentDate = firstPaymentDate;
+
+    for (let i = 0; i < installments; i++) {
+        lastPaymentDate = addMonthsIso(firstPaymentDate, i);
+        const thisPayment = i === installments - 1 ? roundCents(amount - payment * (installments - 1)) : payment;
+        needed += thisPayment + fee;
+        const gap = roundCents(needed - availableEscrowOn(lastPaymentDate, context));
+        if (gap > 0 && !shortfall) {
+            shortfall = { paymentNumber: i + 1, paymentDate: lastPaymentDate, amount: gap };
+        }
+    }
+
+    const transactionFees = roundCents(fee * installments);
+    return {
+        installments,
+        payment,
+        lastPaymentDate,
+        transactionFees,
+        totalCost: roundCents(amount + transactionFees),
+        shortfall
+    };
+}
+
 export default class ComprehensiveNegotiationManager extends LightningElement {
     @api recordId;
     @track negotiations = [];
@@ -97,6 +185,17 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
     columns = NEGOTIATION_COLUMNS;
     wiredNegotiationsResult;
 
+    // Settlement offer calculator
+    offerContext;
+    offerContextError;
+    wiredOfferContextResult;
+    @track offerTerms = this.getDefaultOfferTerms();
+
+    // History views
+    @track viewMode = VIEW_TABLE;
+    creditorStats;
+    wiredCreditorStatsResult;
+
     @track negotiationForm = this.getDefaultFormData();
 
     @track paymentForm = {
@@ -121,6 +220,31 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
         }
     }
 
+    @wire(getSettlementOfferContext, { caseId: '$recordId' })
+    wiredOfferContext(result) {
+        this.wiredOfferContextResult = result;
+        if (result.data) {
+            this.offerContext = result.data;
+            this.offerContextError = null;
+        } else if (result.error) {
+            // Not every Case has an enrolled creditor; the panel explains instead of toasting
+            this.offerContext = null;
+            this.offerContextError = result.error.body ? result.error.body.message : 'Offer calculator unavailable';
+            console.error('Error loading settlement offer context:', result.error);
+        }
+    }
+
+    @wire(getCreditorNegotiationStats, { caseId: '$recordId' })
+    wiredCreditorStats(result) {
+        this.wiredCreditorStatsResult = result;
+        if (result.data) {
+            this.creditorStats = result.data;
+        } else if (result.error) {
+            this.creditorStats = null;
+            console.error('Error loading creditor analytics:', result.error);
+        }
+    }
+
     get negotiationTypeOptions() {
         return [
             { label: 'Type A', value: 'Type A' },
@@ -163,8 +287,295 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
         return this.showEditForm ? 'Update Negotiation' : 'Save Negotiation';
     }
 
+    get settlementOfferPercent() {
+        return this.describePercentOfEnrolled(this.negotiationForm.settlementOffer);
+    }
+
+    get counterOfferPercent() {
+        return this.describePercentOfEnrolled(this.negotiationForm.counterOffer);
+    }
+
+    get finalAmountPercent() {
+        return this.describePercentOfEnrolled(this.negotiationForm.finalAmount);
+    }
+
+    /**
+     * The amount the calculator analyses: the furthest-along figure entered so far
+     */
+    get analysedOffer() {
+        const candidates = [
+            { label: 'Final agreed amount', value: this.negotiationForm.finalAmount },
+            { label: 'Counter offer', value: this.negotiationForm.counterOffer },
+            { label: 'Settlement offer', value: this.negotiationForm.settlementOffer }
+        ];
+        const match = candidates.find(candidate => parseFloat(candidate.value) > 0);
+        return match ? { label: match.label, amount: parseFloat(match.value) } : null;
+    }
+
+    get offerAnalysis() {
+        const context = this.offerContext;
+        const offer = this.analysedOffer;
+        if (!context || !offer || !this.offerTerms.firstPaymentDate) {
+            return null;
+        }
+
+        const installments = Math.max(1, parseInt(this.offerTerms.installments, 10) || 1);
+        const scenarios = [checkFunding(offer.amount, 1, this.offerTerms.firstPaymentDate, context)];
+        if (installments > 1) {
+            scenarios.push(checkFunding(offer.amount, installments, this.offerTerms.firstPaymentDate, context));
+        }
+
+        const feePercent = context.settlementFeePercentage;
+        const hasSettlementFee = feePercent != null && context.enrolledBalance > 0;
+
+        return {
+            label: offer.label,
+            amountText: this.formatCurrency(offer.amount),
+            percentText: this.describePercentOfEnrolled(offer.amount) || 'Enrolled balance unknown',
+            hasProjection: context.hasPaymentPlan && context.escrowProjection.length > 0,
+            hasSettlementFee,
+            settlementFeeLabel: hasSettlementFee ? `Settlement fee (${feePercent}% of enrolled)` : '',
+            settlementFeeText: hasSettlementFee
+                ? this.formatCurrency(roundCents(context.enrolledBalance * feePercent / 100))
+                : '',
+            scenarios: scenarios.map(scenario => this.describeScenario(scenario))
+        };
+    }
+
+    get canCreateSchedule() {
+        return this.showEditForm &&
+            this.selectedNegotiation.Negotiation_Status__c === SETTLED_STATUS &&
+            !!this.offerAnalysis;
+    }
+
+    describePercentOfEnrolled(value) {
+        const amount = parseFloat(value);
+        const enrolled = this.offerContext ? this.offerContext.enrolledBalance : null;
+        if (!(amount > 0) || !(enrolled > 0)) {
+            return '';
+        }
+        return `${(amount / enrolled * 100).toFixed(1)}% of ${this.formatCurrency(enrolled)} enrolled`;
+    }
+
+    describeScenario(scenario) {
+        const isLumpSum = scenario.installments === 1;
+        const funded = !scenario.shortfall;
+        let statusText = isLumpSum ? 'Escrow covers it' : `Escrow covers all ${scenario.installments} payments`;
+        if (!funded) {
+            statusText = `Short ${this.formatCurrency(scenario.shortfall.amount)} on ` +
+                (isLumpSum ? this.formatDate(scenario.shortfall.paymentDate)
+                    : `payment ${scenario.shortfall.paymentNumber} (${this.formatDate(scenario.shortfall.paymentDate)})`);
+        }
+        return {
+            key: `scenario-${scenario.installments}`,
+            title: isLumpSum ? 'Lump sum' : `${scenario.installments} monthly payments`,
+            paymentText: isLumpSum
+                ? `${this.formatCurrency(scenario.payment)} on ${this.formatDate(scenario.lastPaymentDate)}`
+                : `${this.formatCurrency(scenario.payment)}/mo through ${this.formatDate(scenario.lastPaymentDate)}`,
+            feesText: this.formatCurrency(scenario.transactionFees),
+            totalText: this.formatCurrency(scenario.totalCost),
+            statusText,
+            iconName: funded ? 'utility:success' : 'utility:warning',
+            iconVariant: funded ? 'success' : 'warning',
+            rowClass: funded ? 'offer-scenario offer-scenario_funded' : 'offer-scenario offer-scenario_short'
+        };
+    }
+
+    handleOfferTermChange(event) {
+        const field = event.target.dataset.field;
+        this.offerTerms = { ...this.offerTerms, [field]: event.target.value };
+    }
+
+    handleCreateScheduleFromForm() {
+        const offer = this.analysedOffer;
+        this.createSchedule(
+            this.selectedNegotiationId,
+            offer.amount,
+            Math.max(1, parseInt(this.offerTerms.installments, 10) || 1),
+            this.offerTerms.firstPaymentDate
+        );
+    }
+
+    createScheduleFromRow(row) {
+        if (row.Negotiation_Status__c !== SETTLED_STATUS) {
+            this.showToast('Not Settled', 'Set the negotiation to Settled before creating a settlement schedule', 'warning');
+            return;
+        }
+        const amount = row.Final_Agreed_Amount__c || row.Counter_Offer_Amount__c || row.Settlement_Offer_Amount__c;
+        if (!amount) {
+            this.showToast('Error', 'Enter the agreed amount before creating a settlement schedule', 'error');
+            return;
+        }
+        this.createSchedule(
+            row.Id,
+            amount,
+            row.Number_of_Payments__c || 1,
+            row.Payment_Due_Date__c || this.getDefaultOfferTerms().firstPaymentDate
+        );
+    }
+
+    async createSchedule(negotiationId, settlementAmount, installments, firstPaymentDate) {
+        const existingPayments = this.offerContext ? this.offerContext.existingPaymentCount : 0;
+        if (existingPayments > 0) {
+            const confirmed = await LightningConfirm.open({
+                message: `${this.offerContext.creditorName} already has a settlement schedule of ${existingPayments} ` +
+                    `payment(s). Creating a new one deletes it and its segments.`,
+                label: 'Replace Settlement Schedule?',
+                theme: 'warning'
+            });
+            if (!confirmed) {
+                return;
+            }
+        }
+
+        this.isLoading = true;
+
+        createSettlementSchedule({ negotiationId, settlementAmount, installments, firstPaymentDate })
+            .then(result => {
+                const message = `Created ${result.numberOfPayments} settlement payment(s) starting ${this.formatDate(result.firstPaymentDate)}`;
+                if (result.hasEscrowShortage) {
+                    this.showToast('Schedule Created', `${message}. Escrow runs short on ${result.escrowShortageCount} payment(s).`, 'warning');
+                } else {
+                    this.showToast('Success', message, 'success');
+                }
+                this.handleCancelForm();
+                return Promise.all([
+                    refreshApex(this.wiredNegotiationsResult),
+                    refreshApex(this.wiredOfferContextResult)
+                ]);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body.message, 'error');
+                console.error('Error creating settlement schedule:', error);
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get isTableView() {
+        return this.viewMode === VIEW_TABLE;
+    }
+
+    get isTimelineView() {
+        return this.viewMode === VIEW_TIMELINE;
+    }
+
+    get tableViewVariant() {
+        return this.isTableView ? 'brand' : 'neutral';
+    }
+
+    get timelineViewVariant() {
+        return this.isTimelineView ? 'brand' : 'neutral';
+    }
+
+    handleViewChange(event) {
+        this.viewMode = event.currentTarget.dataset.view;
+    }
+
+    get hasCreditorStats() {
+        return !!this.creditorStats && this.creditorStats.caseCount > 0;
+    }
+
+    get creditorAnalytics() {
+        const stats = this.creditorStats;
+        const formatPercent = value => (value != null ? `${value}%` : '—');
+        const caseLabel = stats.caseCount === 1 ? 'case' : 'cases';
+        return {
+            title: `${stats.creditorName} across all cases`,
+            sampleText: `${stats.settledCount} settled of ${stats.caseCount} ${stats.isPartial ? 'most recent ' : ''}${caseLabel}`,
+            metrics: [
+                { key: 'opening', label: 'Avg opening offer', value: formatPercent(stats.averageOpeningOfferPercent) },
+                { key: 'settlement', label: 'Avg settlement', value: formatPercent(stats.averageSettlementPercent) },
+                { key: 'rounds', label: 'Avg rounds', value: stats.averageRounds != null ? stats.averageRounds : '—' },
+                {
+                    key: 'days',
+                    label: 'Avg days to agreement',
+                    value: stats.averageDaysToAgreement != null ? stats.averageDaysToAgreement : '—'
+                }
+            ]
+        };
+    }
+
+    /**
+     * Negotiations oldest first, each round showing our offer, the creditor's counter and
+     * whether the gap between them narrowed since the last round that had both.
+     */
+    get timelineEntries() {
+        const rounds = [...this.negotiations].sort((a, b) => this.getRoundTime(a) - this.getRoundTime(b));
+        let previousGap = null;
+
+        return rounds.map((round, index) => {
+            const offer = round.Settlement_Offer_Amount__c;
+            const counter = round.Counter_Offer_Amount__c;
+            const gap = offer > 0 && counter > 0 ? counter - offer : null;
+
+            let gapTrendText = '';
+            let gapTrendClass = 'timeline-gap-trend';
+            if (gap != null && previousGap != null) {
+                const change = previousGap - gap;
+                if (change > 0) {
+                    gapTrendText = `▼ narrowed ${this.formatCurrency(change)}`;
+                    gapTrendClass += ' timeline-gap-trend_narrowed';
+                } else if (change < 0) {
+                    gapTrendText = `▲ widened ${this.formatCurrency(-change)}`;
+                    gapTrendClass += ' timeline-gap-trend_widened';
+                } else {
+                    gapTrendText = 'unchanged';
+                }
+            }
+            if (gap != null) {
+                previousGap = gap;
+            }
+
+            const isSettled = round.Negotiation_Status__c === SETTLED_STATUS;
+            return {
+                key: round.Id,
+                roundLabel: `Round ${index + 1}`,
+                name: round.Name,
+                dateText: this.formatDateTime(round.Negotiation_Date__c || round.CreatedDate),
+                status: round.Negotiation_Status__c,
+                statusIcon: this.getStatusIcon(round.Negotiation_Status__c),
+                itemClass: isSettled ? 'timeline-item timeline-item_settled' : 'timeline-item',
+                offerText: this.formatCurrency(offer),
+                offerPercent: this.describePercentOfEnrolled(offer),
+                hasCounter: counter > 0,
+                counterText: this.formatCurrency(counter),
+                counterPercent: this.describePercentOfEnrolled(counter),
+                hasFinal: round.Final_Agreed_Amount__c > 0,
+                finalText: this.formatCurrency(round.Final_Agreed_Amount__c),
+                finalPercent: this.describePercentOfEnrolled(round.Final_Agreed_Amount__c),
+                gapText: gap != null ? `Gap ${this.formatCurrency(gap)}` : '',
+                gapTrendText,
+                gapTrendClass
+            };
+        });
+    }
+
+    get timelineSummary() {
+        const rounds = [...this.negotiations].sort((a, b) => this.getRoundTime(a) - this.getRoundTime(b));
+        if (rounds.length === 0) {
+            return '';
+        }
+        const roundLabel = rounds.length === 1 ? 'round' : 'rounds';
+        const settledIndex = rounds.findIndex(round => round.Negotiation_Status__c === SETTLED_STATUS);
+        if (settledIndex < 0) {
+            return `${rounds.length} ${roundLabel} so far, no agreement yet`;
+        }
+        const settled = rounds[settledIndex];
+        const days = Math.round((this.getRoundTime(settled) - this.getRoundTime(rounds[0])) / MS_PER_DAY);
+        const agreed = settled.Final_Agreed_Amount__c || settled.Counter_Offer_Amount__c || settled.Settlement_Offer_Amount__c;
+        const agreedText = agreed ? ` at ${this.formatCurrency(agreed)}` : '';
+        return `Agreed${agreedText} on round ${settledIndex + 1} of ${rounds.length}, ${days} day(s) after the first offer`;
+    }
+
+    getRoundTime(round) {
+        return new Date(round.Negotiation_Date__c || round.CreatedDate).getTime();
+    }
+
     handleNewNegotiation() {
         this.negotiationForm = this.getDefaultFormData();
+        this.offerTerms = this.getDefaultOfferTerms();
         this.showCreateForm = true;
         this.showEditForm = false;
     }
@@ -215,7 +626,10 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
                     'Negotiation created successfully';
                 this.showToast('Success', message, 'success');
                 this.handleCancelForm();
-                return refreshApex(this.wiredNegotiationsResult);
+                return Promise.all([
+                    refreshApex(this.wiredNegotiationsResult),
+                    refreshApex(this.wiredCreditorStatsResult)
+                ]);
             })
             .catch(error => {
                 this.showToast('Error', error.body.message, 'error');
@@ -239,6 +653,9 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
                 this.paymentForm.paymentAmount = row.Final_Agreed_Amount__c || 0;
                 this.showPaymentModal = true;
                 break;
+            case 'create_schedule':
+                this.createScheduleFromRow(row);
+                break;
             case 'edit':
                 this.editNegotiation(row);
                 break;
@@ -296,6 +713,15 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
         };
     }
 
+    getDefaultOfferTerms() {
+        const firstPayment = new Date();
+        firstPayment.setDate(firstPayment.getDate() + DEFAULT_FIRST_PAYMENT_DAYS);
+        return {
+            installments: 1,
+            firstPaymentDate: toIsoDate(firstPayment)
+        };
+    }
+
     validateForm() {
         if (!this.negotiationForm.status) {
             this.showToast('Error', 'Status is required', 'error');
@@ -320,6 +746,10 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
             status: row.Negotiation_Status__c || 'POA Out',
             active: row.Active__c || false
         };
+        this.offerTerms = {
+            installments: row.Number_of_Payments__c || 1,
+            firstPaymentDate: row.Payment_Due_Date__c || this.getDefaultOfferTerms().firstPaymentDate
+        };
         
         this.showEditForm = true;
         this.showCreateForm = true;
@@ -359,6 +789,12 @@ export default class ComprehensiveNegotiationManager extends LightningElement {
         return new Date(dateTimeString).toLocaleString();
     }
 
+    formatDate(isoDate) {
+        if (!isoDate) return 'N/A';
+        const [year, month, day] = isoDate.split('-');
+        return `${month}/${day}/${year}`;
+    }
+
     formatCurrency(amount) {
         if (!amount && amount !== 0) return 'N/A';
         return new Intl.NumberFormat('en-US', {
@@ -0,0 +1,257 @@
+import { LightningElement, api } from 'lwc';
+import getPaymentDraftItemHistory from '@salesforce/apex/PaymentCalculatorController.getPaymentDraftItemHistory';
+
+// Summary metrics compared across drafts.
+// better: which direction is favourable for the client ('lower' | 'higher' | null for neutral)
+const METRICS = [
+    { key: 'weeklyPayment', label: 'Weekly Payment', format: 'currency', better: 'lower' },
+    { key: 'monthlyPayment', label: 'Monthly Payment', format: 'currency', better: 'lower' },
+    { key: 'numberOfWeeks', label: 'Program Length (weeks)', format: 'number', better: 'lower' },
+    { key: 'settlementAmount', label: 'Settlement Amount', format: 'currency', better: 'lower' },
+    { key: 'programFee', label: 'Program Fee', format: 'currency', better: 'lower' },
+    { key: 'bankingFeeTotal', label: 'Banking Fee Total', format: 'currency', better: 'lower' },
+    { key: 'totalProgram', label: 'Total Program Cost', format: 'currency', better: 'lower' },
+    { key: 'totalSavings', label: 'Total Savings', format: 'currency', better: 'higher' },
+    { key: 'savingsPercent', label: 'Weekly Savings %', format: 'percent', better: 'higher' }
+];
+
+// Tolerance for treating two currency values as equal (rounding noise from Apex)
+const AMOUNT_TOLERANCE = 0.005;
+
+export default class DraftComparison extends LightningElement {
+    isLoading = false;
+    loadError = null;
+    showOnlyDifferences = false;
+
+    // Active Payment_Draft_Item__c rows keyed by draft Id
+    _itemsByDraft = {};
+    _loadSeq = 0;
+
+    _drafts = [];
+    /**
+     * Draft rows as produced by paymentCalculator.processDrafts (loadDrafts shape).
+     * The first draft is the baseline every other draft is compared against.
+     */
+    @api
+    get drafts() {
+        return this._drafts;
+    }
+    set drafts(value) {
+        this._drafts = Array.isArray(value) ? value : [];
+        this.loadSchedules();
+    }
+
+    async loadSchedules() {
+        const ids = this._drafts.map(d => d.Id).filter(Boolean);
+        if (ids.length === 0) {
+            this._itemsByDraft = {};
+            return;
+        }
+
+        const seq = ++this._loadSeq;
+        this.isLoading = true;
+        this.loadError = null;
+        try {
+            const results = await Promise.all(
+                ids.map(draftId => getPaymentDraftItemHistory({ draftId }))
+            );
+            if (seq !== this._loadSeq) {
+                return;
+            }
+            const byDraft = {};
+            ids.forEach((id, idx) => {
+                // History contains every calculation version; only the active one is the current schedule
+                byDraft[id] = (results[idx] || [])
+                    .filter(item => item.Is_Active__c)
+                    .sort((a, b) => (a.Draft_Number__c || 0) - (b.Draft_Number__c || 0));
+            });
+            this._itemsByDraft = byDraft;
+        } catch (error) {
+            if (seq !== this._loadSeq) {
+                return;
+            }
+            console.error('[DraftComparison] Failed to load draft schedules', error);
+            this.loadError = error?.body?.message || error?.message || 'Failed to load draft schedules';
+            this._itemsByDraft = {};
+        } finally {
+            if (seq === this._loadSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    get hasDrafts() {
+        return this._drafts.length > 0;
+    }
+
+    get hasLoadError() {
+        return !!this.loadError;
+    }
+
+    get draftHeaders() {
+        return this._drafts.map((d, idx) => ({
+            key: d.Id,
+            name: d.Name || `Draft ${idx + 1}`,
+            isBaseline: idx === 0,
+            isPrimary: d.isPrimary === true,
+            createdBy: d.CreatedBy
+        }));
+    }
+
+    /**
+     * One row per metric, one cell per draft.
+     * Rows whose values differ are flagged, and the most favourable value is marked as best.
+     */
+    get metricRows() {
+        return METRICS.map(metric => {
+            const values = this._drafts.map(d => this.metricValue(d, metric.key));
+            const numeric = values.filter(v => v != null);
+            const differs = this.valuesDiffer(numeric);
+            let best = null;
+            if (differs && metric.better) {
+                best = metric.better === 'lower' ? Math.min(...numeric) : Math.max(...numeric);
+            }
+            const baseline = values[0];
+
+            const cells = values.map((value, idx) => {
+                const isBest = best != null && value != null && Math.abs(value - best) < AMOUNT_TOLERANCE;
+                const delta = idx > 0 && value != null && baseline != null ? value - baseline : null;
+                let cellClass = 'compare-cell';
+                if (differs) cellClass += ' compare-cell-diff';
+                if (isBest) cellClass += ' compare-cell-best';
+                return {
+                    key: `${metric.key}-${idx}`,
+                    display: this.formatValue(value, metric.format),
+                    deltaDisplay: delta != null && Math.abs(delta) >= AMOUNT_TOLERANCE
+                        ? this.formatDelta(delta, metric.format)
+                        : '',
+                    isBest,
+                    cellClass
+                };
+            });
+
+            return {
+                key: metric.key,
+                label: metric.label,
+                differs,
+                rowClass: differs ? 'compare-row compare-row-diff' : 'compare-row',
+                cells
+            };
+        });
+    }
+
+    /**
+     * Week-by-week view of the saved schedules, aligned by draft number.
+     * Each cell is compared against the baseline (first) draft for the same week.
+     */
+    get scheduleRows() {
+        const schedules = this._drafts.map(d => this._itemsByDraft[d.Id] || []);
+        const maxWeeks = schedules.reduce((max, s) => Math.max(max, s.length), 0);
+        const rows = [];
+
+        for (let week = 0; week < maxWeeks; week++) {
+            const baseItem = schedules[0]?.[week];
+            const baseAmount = baseItem ? Number(baseItem.Total_Draft__c || 0) : null;
+            let rowDiffers = false;
+
+            const cells = schedules.map((schedule, idx) => {
+                const item = schedule[week];
+                const amount = item ? Number(item.Total_Draft__c || 0) : null;
+                let differs = false;
+                if (idx > 0) {
+                    differs = amount == null || baseAmount == null
+                        ? amount !== baseAmount
+                        : Math.abs(amount - baseAmount) >= AMOUNT_TOLERANCE;
+                }
+                if (differs) rowDiffers = true;
+                return {
+                    key: `w${week}-${idx}`,
+                    hasItem: !!item,
+                    date: item?.Draft_Due_Date__c,
+                    amountDisplay: amount != null ? this.formatValue(amount, 'currency') : '—',
+                    deltaDisplay: differs && amount != null && baseAmount != null
+                        ? this.formatDelta(amount - baseAmount, 'currency')
+                        : '',
+                    cellClass: differs ? 'compare-cell compare-cell-diff' : 'compare-cell'
+                };
+            });
+
+            rows.push({
+                key: `week-${week + 1}`,
+                weekNumber: week + 1,
+                differs: rowDiffers,
+                rowClass: rowDiffers ? 'compare-row compare-row-diff' : 'compare-row',
+                cells
+            });
+        }
+        return rows;
+    }
+
+    get visibleScheduleRows() {
+        const rows = this.scheduleRows;
+        return this.showOnlyDifferences ? rows.filter(r => r.differs) : rows;
+    }
+
+    get hasScheduleRows() {
+        return this.visibleScheduleRows.length > 0;
+    }
+
+    get differingWeekCount() {
+        return this.scheduleRows.filter(r => r.differs).length;
+    }
+
+    handleToggleDifferences(event) {
+        this.showOnlyDifferences = event.target.checked;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // Pull a metric from the loadDrafts row, falling back to the nested calculations map
+    metricValue(draft, key) {
+        const calc = draft.calculations || {};
+        let value;
+        switch (key) {
+            case 'weeklyPayment':
+                value = draft.weeklyPayment ?? calc.weeklyPayment;
+                break;
+            case 'numberOfWeeks':
+                value = draft.numberOfWeeks ?? calc.numberOfWeeks;
+                break;
+            case 'savingsPercent':
+                value = draft.savingsPercent;
+                break;
+            default:
+                value = calc[key];
+        }
+        return value == null || Number.isNaN(Number(value)) ? null : Number(value);
+    }
+
+    valuesDiffer(values) {
+        if (values.length < 2) return false;
+        const first = values[0];
+        return values.some(v => Math.abs(v - first) >= AMOUNT_TOLERANCE);
+    }
+
+    formatValue(value, format) {
+        if (value == null) return '—';
+        switch (format) {
+            case 'currency':
+                return new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: 'USD',
+                    minimumFractionDigits: 2
+                }).format(value);
+            case 'percent':
+                return `${Number(value).toFixed(1)}%`;
+            default:
+                return String(Math.round(value));
+        }
+    }
+
+    formatDelta(delta, format) {
+        const sign = delta > 0 ? '+' : '−';
+        return `${sign}${this.formatValue(Math.abs(delta), format)}`;
+    }
+}
@@ -5,10 +5,62 @@ import { encodeDefaultFieldValues } from 'lightning/pageReferenceUtils';
 import { EnclosingUtilityId, onUtilityClick, open, updateUtility, getInfo, getEnclosingTabId, setPanelState } from 'lightning/platformUtilityBarApi';
 import { subscribe, unsubscribe, onError } from 'lightning/empApi';
 import getInboundEmails from '@salesforce/apex/EmailInboxController.getInboundEmails';
+import searchEmails from '@salesforce/apex/EmailInboxController.searchEmails';
 import markEmailAsSeen from '@salesforce/apex/EmailInboxController.markEmailAsSeen';
+import markThreadAsSeen from '@salesforce/apex/EmailInboxController.markThreadAsSeen';
 import markEmailAsPinned from '@salesforce/apex/EmailInboxController.markEmailAsPinned';
 import findContactOrLeadByEmail from '@salesforce/apex/EmailInboxController.findContactOrLeadByEmail';
 import getCurrentUserEmail from '@salesforce/apex/EmailInboxController.getCurrentUserEmail';
+import getEmailTemplates from '@salesforce/apex/EmailInboxController.getEmailTemplates';
+import renderEmailTemplate from '@salesforce/apex/EmailInboxController.renderEmailTemplate';
+import getEmailAttachmentFiles from '@salesforce/apex/EmailInboxController.getEmailAttachmentFiles';
+import sendEmail from '@salesforce/apex/EmailInboxController.sendEmail';
+import snoozeEmail from '@salesforce/apex/EmailInboxController.snoozeEmail';
+import setFollowUpReminder from '@salesforce/apex/EmailInboxController.setFollowUpReminder';
+import cancelFollowUpReminder from '@salesforce/apex/EmailInboxController.cancelFollowUpReminder';
+import getTriageRules from '@salesforce/apex/EmailTriageRuleController.getTriageRules';
+import saveTriageRule from '@salesforce/apex/EmailTriageRuleController.saveTriageRule';
+import deleteTriageRule from '@salesforce/apex/EmailTriageRuleController.deleteTriageRule';
+import USER_ID from '@salesforce/user/Id';
+import {
+    evaluateTriage,
+    playTriageSound,
+    CONDITION_OPTIONS,
+    CONDITION_NSF_CLIENT,
+    SOUND_OPTIONS
+} from 'c/emailTriageEngine';
+
+const COMPOSE_REPLY = 'reply';
+const COMPOSE_REPLY_ALL = 'replyAll';
+const COMPOSE_FORWARD = 'forward';
+const COMPOSE_MODES = [
+    { label: 'Reply', value: COMPOSE_REPLY },
+    { label: 'Reply all', value: COMPOSE_REPLY_ALL },
+    { label: 'Forward', value: COMPOSE_FORWARD }
+];
+
+// Snooze presets wake the email at 9:00 AM local time
+const SNOOZE_HOUR = 9;
+const DEFAULT_FOLLOW_UP_DAYS = 3;
+const MAX_FOLLOW_UP_DAYS = 60;
+// Messages without reply headers only join a same-subject conversation within this gap
+const SUBJECT_THREAD_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+function morningInDays(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    date.setHours(SNOOZE_HOUR, 0, 0, 0);
+    return date;
+}
+
+function nextMondayMorning() {
+    // Sunday -> 1 day, Monday -> 7 days
+    return morningInDays((8 - new Date().getDay()) % 7 || 7);
+}
+
+function formatReminderTime(date) {
+    return date.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
 
 export default class EmailInboxUtility extends NavigationMixin(LightningElement) {
     @track emails = [];
@@ -21,8 +73,16 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
     @track unseenCount = 0;
     @track lastRefreshTime = null;
     @track searchTerm = '';
-    @track fromDate = '';
-    @track toDate = '';
+    // Search the current list was loaded for ('' for the plain inbox)
+    loadedSearchTerm = '';
+    // The free text matched more emails than the server searches, so older matches are missing
+    isSearchTruncated = false;
+    
+    // Threaded conversation view
+    isThreadView = false;
+    @track threads = [];
+    expandedThreadKey = null;
+    markingThreadKey = null;
     // pinnedEmails Set removed - now using server-side Pin__c field for database persistence
     lastClickTime = null;
     
@@ -44,6 +104,26 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
     platformEventSub = null;
     pollingInterval = null;
     currentUserEmail = null;
+
+    // Inline composer - null when closed
+    @track composer = null;
+    emailTemplates = null;
+    isSending = false;
+    // Composer uploads land in the user's own files until they are sent
+    uploadRecordId = USER_ID;
+
+    // Triage rules (c/emailTriageEngine) and the label chip filter
+    triageRules = [];
+    @track activeLabel = null;
+    showRulesPanel = false;
+    @track ruleDraft = null;
+    isSavingRule = false;
+
+    // Snooze / follow-up: counts for their filter tabs and the custom time editor
+    snoozedCount = 0;
+    followUpCount = 0;
+    @track reminderEditor = null;
+    isSavingReminder = false;
     
     // Wire the enclosing utility ID and initialize only when available
     @wire(EnclosingUtilityId)
@@ -79,6 +159,71 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         return 'email-inbox-simple';
     }
 
+    // Add the display properties the list templates need to a server EmailInfo
+    decorateEmail(email, now) {
+        // Use server-side pin status (email.isPinned) as the source of truth
+        const isPinned = email.isPinned || false;
+        const isSeen = email.isSeen;
+        
+        // Optimized email processing - calculate all properties at once
+        const emailWithPin = {
+            ...email,
+            isSeen: isSeen,
+            isPinned: isPinned,
+            pinIconName: isPinned ? 'utility:pinned' : 'utility:pin',
+            pinTitle: isPinned ? 'Unpin email' : 'Pin email',
+            pinClass: isPinned ? 'pin-button pinned' : 'pin-button'
+        };
+        
+        // Batch calculate all display properties
+        emailWithPin.displayFrom = this.getDisplayFromOptimized(emailWithPin);
+        emailWithPin.relativeDate = this.formatDateOptimized(emailWithPin.messageDate || emailWithPin.createdDate, now);
+        
+        // Optimize avatar processing - calculate everything in one pass
+        const avatarData = this.getAvatarDataOptimized(emailWithPin);
+        emailWithPin.avatarInitials = avatarData.initials;
+        emailWithPin.avatarColor = avatarData.color;
+        emailWithPin.avatarTextColor = avatarData.textColor;
+        emailWithPin.avatarStyle = avatarData.style;
+        
+        this.applyTriage(emailWithPin);
+        this.applyReminders(emailWithPin, now);
+        
+        // Calculate CSS class last (depends on other properties)
+        emailWithPin.cssClass = this.getEmailCssClassOptimized(emailWithPin);
+        
+        return emailWithPin;
+    }
+
+    // Labels and priority stored by the inbound path, plus whatever the current rules add
+    applyTriage(email) {
+        if (!email.storedTriage) {
+            email.storedTriage = { labels: email.triageLabels || [], isPriority: email.isPriority === true };
+        }
+        const triage = evaluateTriage(email, this.triageRules);
+        email.triageLabels = [...new Set([...email.storedTriage.labels, ...triage.labels])];
+        email.hasTriageLabels = email.triageLabels.length > 0;
+        email.isPriority = email.storedTriage.isPriority || triage.isPriority;
+        email.triageAutoPin = triage.autoPin;
+        email.triageSound = triage.notificationSound;
+        email.triageStyle = triage.highlightColor ? `box-shadow: inset 4px 0 0 ${triage.highlightColor};` : '';
+    }
+
+    // A snooze that has ended lifts the email to the top of the list
+    applyReminders(email, now) {
+        const snoozedUntil = email.snoozedUntil ? new Date(email.snoozedUntil) : null;
+        const receivedTime = new Date(email.messageDate || email.createdDate).getTime() || 0;
+        email.isSnoozed = !!snoozedUntil && snoozedUntil > now;
+        email.snoozeLabel = email.isSnoozed ? `Snoozed until ${formatReminderTime(snoozedUntil)}` : '';
+        email.hasFollowUp = !!email.followUpTaskId;
+        email.followUpLabel = email.hasFollowUp && email.followUpDue
+            ? `Follow up ${formatReminderTime(new Date(email.followUpDue))}`
+            : '';
+        email.sortTime = snoozedUntil && !email.isSnoozed
+            ? Math.max(receivedTime, snoozedUntil.getTime())
+            : receivedTime;
+    }
+
     processEmailData(data, isLoadMore = false, preserveScroll = false) {
         if (data && data.emails) {
             // Reduced logging for better performance
@@ -89,41 +234,14 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             // Pre-calculate common values to avoid repeated computation
             const now = new Date();
             
-            const newEmails = data.emails.map(email => {
-                // Use server-side pin status (email.isPinned) as the source of truth
-                const isPinned = email.isPinned || false;
-                const isSeen = email.isSeen;
-                
-                // Optimized email processing - calculate all properties at once
-                const emailWithPin = {
-                    ...email,
-                    isSeen: isSeen,
-                    isPinned: isPinned,
-                    pinIconName: isPinned ? 'utility:pinned' : 'utility:pin',
-                    pinTitle: isPinned ? 'Unpin email' : 'Pin email',
-                    pinClass: isPinned ? 'pin-button pinned' : 'pin-button'
-                };
-                
-                // Batch calculate all display properties
-                emailWithPin.displayFrom = this.getDisplayFromOptimized(emailWithPin);
-                emailWithPin.relativeDate = this.formatDateOptimized(emailWithPin.messageDate || emailWithPin.createdDate, now);
-                
-                // Optimize avatar processing - calculate everything in one pass
-                const avatarData = this.getAvatarDataOptimized(emailWithPin);
-                emailWithPin.avatarInitials = avatarData.initials;
-                emailWithPin.avatarColor = avatarData.color;
-                emailWithPin.avatarTextColor = avatarData.textColor;
-                emailWithPin.avatarStyle = avatarData.style;
-                
-                // Calculate CSS class last (depends on other properties)
-                emailWithPin.cssClass = this.getEmailCssClassOptimized(emailWithPin);
-                
-                return emailWithPin;
-            });
+            const newEmails = data.emails.map(email => this.decorateEmail(email, now));
+            let arrivedEmails = [];
             
             if (isLoadMore) {
-                // Append new emails to existing list
-                this.emails = [...this.emails, ...newEmails];
+                // Append new emails to existing list; snoozed and follow-up emails came with the
+                // first page and may turn up again in their date order
+                const loadedIds = new Set(this.emails.map(e => e.id));
+                this.emails = [...this.emails, ...newEmails.filter(e => !loadedIds.has(e.id))];
             } else {
                 // Check for new emails if we have a previous refresh time
                 if (this.lastRefreshTime && this.emails.length > 0) {
@@ -132,6 +250,7 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
                     
                     if (newEmailsList.length > 0) {
                         console.log(`Found ${newEmailsList.length} new unseen emails`);
+                        arrivedEmails = newEmailsList;
                     }
                 } else {
                     // On initial load, log any unread emails
@@ -145,6 +264,7 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             }
             
             this.lastRefreshTime = Date.now();
+            this.applyArrivalTriage(arrivedEmails);
             this.calculateCounts();
             this.applyCurrentFilter();
             
@@ -170,6 +290,9 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             this.currentUserEmail = null;
         }
         
+        // Rules first so the first render is already labelled
+        await this.loadTriageRules();
+        
         // Load emails on initial connection
         await this.loadEmails();
         
@@ -235,12 +358,19 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
                 this.hasMoreEmails = true;
             }
             
-            const result = await getInboundEmails({ 
-                limitCount: this.limitCount, 
-                lastEmailId: null, 
-                fromDate: this.fromDate || null,
-                toDate: this.toDate || null
-            });
+            const searchText = this.searchTerm;
+            const result = await this.fetchEmailPage(null, searchText);
+            
+            // A newer search started while this one ran; its results win
+            if (searchText !== this.searchTerm) {
+                return Promise.resolve();
+            }
+            if (searchText !== this.loadedSearchTerm) {
+                // A different result set, so none of it counts as newly arrived
+                this.lastRefreshTime = null;
+                this.loadedSearchTerm = searchText;
+            }
+            this.isSearchTruncated = !!searchText && result.isTruncated === true;
             
             this.processEmailData(result, false, preserveScroll);
             this.hasMoreEmails = result.hasMore;
@@ -254,6 +384,14 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         }
     }
 
+    // Server-side search while the search box has text, otherwise the plain inbox
+    fetchEmailPage(lastEmailId, searchText) {
+        if (searchText) {
+            return searchEmails({ searchText, limitCount: this.limitCount, lastEmailId });
+        }
+        return getInboundEmails({ limitCount: this.limitCount, lastEmailId, fromDate: null, toDate: null });
+    }
+
     disconnectedCallback() {
         console.log('🔌 Component disconnecting - cleaning up resources...');
         
@@ -333,9 +471,12 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
     }
 
     calculateCounts() {
-        this.receivedCount = this.emails.filter(email => email.emailType === 'Received').length;
-        this.sentCount = this.emails.filter(email => email.emailType === 'Sent').length;
-        this.unseenCount = this.emails.filter(email => !email.isSeen && email.emailType === 'Received').length;
+        const inView = this.emails.filter(email => !email.isSnoozed);
+        this.receivedCount = inView.filter(email => email.emailType === 'Received').length;
+        this.sentCount = inView.filter(email => email.emailType === 'Sent').length;
+        this.unseenCount = inView.filter(email => !email.isSeen && email.emailType === 'Received').length;
+        this.snoozedCount = this.emails.length - inView.length;
+        this.followUpCount = inView.filter(email => email.hasFollowUp).length;
     }
 
     getEmailCssClass(email) {
@@ -537,6 +678,10 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             cssClass += ' pinned';
         }
         
+        if (email.isPriority === true) {
+            cssClass += ' priority';
+        }
+        
         return cssClass;
     }
 
@@ -616,61 +761,269 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         this.applyCurrentFilter();
     }
 
+    showSnoozed() {
+        this.currentFilter = 'snoozed';
+        this.applyCurrentFilter();
+    }
+
+    showFollowUps() {
+        this.currentFilter = 'followup';
+        this.applyCurrentFilter();
+    }
+
     applyCurrentFilter() {
         let filtered = [...this.emails];
 
-        // Apply type filter (received/sent/unseen)
+        // Snoozed emails stay out of every list but their own
+        filtered = filtered.filter(email => email.isSnoozed === (this.currentFilter === 'snoozed'));
+
+        // Apply type filter (received/sent/unseen/follow-up)
         if (this.currentFilter === 'received') {
             filtered = filtered.filter(email => email.emailType === 'Received');
         } else if (this.currentFilter === 'sent') {
             filtered = filtered.filter(email => email.emailType === 'Sent');
         } else if (this.currentFilter === 'unseen') {
             filtered = filtered.filter(email => !email.isSeen && email.emailType === 'Received');
+        } else if (this.currentFilter === 'followup') {
+            filtered = filtered.filter(email => email.hasFollowUp);
         }
 
-        // Apply search filter
-        if (this.searchTerm) {
-            const searchLower = this.searchTerm.toLowerCase();
-            filtered = filtered.filter(email => 
-                email.subject?.toLowerCase().includes(searchLower) ||
-                email.fromName?.toLowerCase().includes(searchLower) ||
-                email.fromAddress?.toLowerCase().includes(searchLower) ||
-                email.toAddress?.toLowerCase().includes(searchLower) ||
-                email.textBody?.toLowerCase().includes(searchLower)
-            );
+        // Search and dates are applied on the server (searchEmails)
+
+        // Apply triage label chip
+        if (this.activeLabel) {
+            filtered = filtered.filter(email => email.triageLabels.includes(this.activeLabel));
         }
 
-        // Apply date range filter
-        if (this.fromDate || this.toDate) {
-            filtered = filtered.filter(email => {
-                const emailDate = new Date(email.messageDate || email.createdDate);
-                
-                // Validate email date
-                if (isNaN(emailDate.getTime())) {
-                    return false;
-                }
-                
-                const fromDateObj = this.fromDate ? new Date(this.fromDate + 'T00:00:00') : null;
-                const toDateObj = this.toDate ? new Date(this.toDate + 'T23:59:59') : null;
+        // Priority emails first, then descending order (newest first, resurfaced snoozes by wake time)
+        filtered.sort((a, b) => {
+            if (a.isPriority !== b.isPriority) {
+                return a.isPriority ? -1 : 1;
+            }
+            return b.sortTime - a.sortTime;
+        });
 
-                if (fromDateObj && emailDate < fromDateObj) {
-                    return false;
+        this.filteredEmails = filtered;
+        this.refreshThreads();
+    }
+
+    refreshThreads() {
+        this.threads = this.isThreadView ? this.buildThreads(this.filteredEmails) : [];
+    }
+
+    // Group loaded emails into conversations. Messages are linked by Message-ID / In-Reply-To /
+    // References / ThreadIdentifier. A message carrying none of those reply headers falls back to
+    // the previous message with the same normalized subject and participants, if it is recent enough.
+    // A thread is shown when any of its messages passes the current filters.
+    buildThreads(visibleEmails) {
+        const parent = new Map();
+        const find = (key) => {
+            if (!parent.has(key)) {
+                parent.set(key, key);
+            }
+            let root = key;
+            while (parent.get(root) !== root) {
+                root = parent.get(root);
+            }
+            parent.set(key, root);
+            return root;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) {
+                parent.set(rootB, rootA);
+            }
+        };
+
+        const emailTime = (email) => new Date(email.messageDate || email.createdDate).getTime() || 0;
+        const subjectBuckets = new Map();
+
+        this.emails.forEach(email => {
+            find(email.id);
+            const replyKeys = [email.inReplyTo, ...(email.references || [])]
+                .map(id => this.normalizeMessageId(id))
+                .filter(id => id);
+            const ownKey = this.normalizeMessageId(email.messageIdentifier);
+            [ownKey, ...replyKeys].filter(id => id).forEach(id => union(email.id, `msg:${id}`));
+            if (email.replyToEmailMessageId) {
+                union(email.id, email.replyToEmailMessageId);
+            }
+            if (email.threadIdentifier) {
+                union(email.id, `thread:${email.threadIdentifier}`);
+            }
+            const subjectKey = this.normalizeSubject(email.subject);
+            if (subjectKey) {
+                const bucketKey = `${subjectKey}|${this.getParticipantKey(email)}`;
+                if (!subjectBuckets.has(bucketKey)) {
+                    subjectBuckets.set(bucketKey, []);
                 }
-                if (toDateObj && emailDate > toDateObj) {
-                    return false;
+                subjectBuckets.get(bucketKey).push({
+                    email,
+                    time: emailTime(email),
+                    hasHeaderLink: replyKeys.length > 0 || !!email.replyToEmailMessageId || !!email.threadIdentifier
+                });
+            }
+        });
+
+        subjectBuckets.forEach(entries => {
+            entries.sort((a, b) => a.time - b.time);
+            for (let i = 1; i < entries.length; i++) {
+                const current = entries[i];
+                const previous = entries[i - 1];
+                if (!current.hasHeaderLink && current.time - previous.time <= SUBJECT_THREAD_WINDOW_MS) {
+                    union(previous.email.id, current.email.id);
                 }
-                return true;
+            }
+        });
+
+        const groups = new Map();
+        this.emails.forEach(email => {
+            const root = find(email.id);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(email);
+        });
+
+        const visibleIds = new Set(visibleEmails.map(email => email.id));
+        const threads = [];
+
+        groups.forEach(members => {
+            if (!members.some(email => visibleIds.has(email.id))) {
+                return;
+            }
+            const messages = [...members].sort((a, b) => emailTime(a) - emailTime(b));
+            const latest = messages[messages.length - 1];
+            const key = messages[0].id;
+            const unreadCount = messages.filter(email => email.isNew).length;
+            const isExpanded = this.expandedThreadKey === key;
+            const participants = [...new Set(messages.map(email => email.displayFrom))];
+
+            let cssClass = 'email-item thread-item';
+            if (unreadCount > 0) {
+                cssClass += ' new-email';
+            }
+            if (isExpanded) {
+                cssClass += ' expanded';
+            }
+
+            threads.push({
+                key,
+                latest,
+                count: messages.length,
+                hasMultiple: messages.length > 1,
+                unreadCount,
+                isUnread: unreadCount > 0,
+                isExpanded,
+                isMarking: this.markingThreadKey === key,
+                cssClass,
+                expandIcon: isExpanded ? 'utility:chevrondown' : 'utility:chevronright',
+                participantsLabel: participants.length > 3
+                    ? `${participants.slice(0, 3).join(', ')} +${participants.length - 3}`
+                    : participants.join(', '),
+                hasAttachment: messages.some(email => email.hasAttachment),
+                sortTime: Math.max(...messages.map(email => email.sortTime || emailTime(email))),
+                messages: messages.map(email => ({
+                    ...email,
+                    conversationClass: email.emailType === 'Sent' ? 'conversation-message sent' : 'conversation-message'
+                }))
             });
+        });
+
+        // Newest activity first, matching the flat list ordering
+        threads.sort((a, b) => b.sortTime - a.sortTime);
+        return threads;
+    }
+
+    normalizeMessageId(messageId) {
+        if (!messageId) {
+            return null;
+        }
+        return messageId.trim().replace(/^<|>$/g, '').toLowerCase() || null;
+    }
+
+    normalizeSubject(subject) {
+        if (!subject || subject === '(No Subject)') {
+            return null;
         }
+        let normalized = subject.trim();
+        let previous;
+        // Strip any stack of reply/forward prefixes, e.g. "RE: Fwd: [2] Re:"
+        do {
+            previous = normalized;
+            normalized = normalized.replace(/^(re|fw|fwd|aw|sv)\s*(\[\d+\])?\s*:\s*/i, '');
+        } while (normalized !== previous);
+        return normalized.replace(/\s+/g, ' ').toLowerCase() || null;
+    }
 
-        // Sort in descending order (newest first)
-        filtered.sort((a, b) => {
-            const dateA = new Date(a.messageDate || a.createdDate);
-            const dateB = new Date(b.messageDate || b.createdDate);
-            return dateB - dateA;
-        });
+    getParticipantKey(email) {
+        const me = (this.currentUserEmail || '').toLowerCase();
+        const addresses = [email.fromAddress, email.toAddress, email.ccAddress]
+            .filter(value => value)
+            .join(';')
+            .split(/[;,]/)
+            .map(address => address.trim().toLowerCase())
+            .filter(address => address && address !== me);
+        return [...new Set(addresses)].sort().join(',');
+    }
 
-        this.filteredEmails = filtered;
+    toggleThreadView() {
+        this.isThreadView = !this.isThreadView;
+        this.expandedThreadKey = null;
+        this.refreshThreads();
+    }
+
+    handleThreadToggle(event) {
+        const threadKey = event.currentTarget.dataset.threadKey;
+        this.expandedThreadKey = this.expandedThreadKey === threadKey ? null : threadKey;
+        this.refreshThreads();
+    }
+
+    async handleMarkThreadSeen(event) {
+        event.stopPropagation();
+        const threadKey = event.currentTarget.dataset.threadKey;
+        const thread = this.threads.find(t => t.key === threadKey);
+        if (!thread || !thread.isUnread) {
+            return;
+        }
+
+        const emailIds = thread.messages.filter(email => email.isNew).map(email => email.id);
+        this.markingThreadKey = threadKey;
+        this.markEmailsSeenLocally(emailIds);
+
+        try {
+            const result = await markThreadAsSeen({ emailIds });
+            if (result?.success) {
+                this.silentRefresh();
+            } else {
+                this.silentRefresh();
+                this.showToast('Error', result?.message || 'Failed to mark conversation as seen', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error marking thread as seen:', error);
+            this.silentRefresh();
+            this.showToast('Error', error?.body?.message || error?.message || 'Failed to mark conversation as seen', 'error');
+        } finally {
+            this.markingThreadKey = null;
+            this.refreshThreads();
+        }
+    }
+
+    markEmailsSeenLocally(emailIds) {
+        const ids = new Set(emailIds);
+        const markSeen = (email) => {
+            if (!ids.has(email.id)) {
+                return email;
+            }
+            const updatedEmail = { ...email, isNew: false, isSeen: true };
+            updatedEmail.cssClass = this.getEmailCssClass(updatedEmail);
+            return updatedEmail;
+        };
+        this.emails = this.emails.map(markSeen);
+        this.filteredEmails = this.filteredEmails.map(markSeen);
+        this.calculateCounts();
+        this.refreshThreads();
     }
 
     async handleEmailClick(event) {
@@ -778,6 +1131,7 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         
         // Recalculate counts for immediate UI feedback
         this.calculateCounts();
+        this.refreshThreads();
         
         console.log('⚡ OPTIMISTIC UPDATE COMPLETE - Email should no longer have NEW green bar/pill');
     }
@@ -911,6 +1265,26 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         return this.filteredEmails && this.filteredEmails.length > 0;
     }
 
+    get showEmailList() {
+        return !this.isLoading && !this.isComposerOpen && !this.showRulesPanel;
+    }
+
+    get showFlatList() {
+        return this.hasEmails && !this.isThreadView;
+    }
+
+    get showThreadList() {
+        return this.hasEmails && this.isThreadView;
+    }
+
+    get threadToggleVariant() {
+        return this.isThreadView ? 'brand' : 'border-filled';
+    }
+
+    get threadToggleTitle() {
+        return this.isThreadView ? 'Show individual emails' : 'Group into conversations';
+    }
+
     get emptyMessage() {
         if (this.currentFilter === 'received') {
             return 'No received emails found';
@@ -918,6 +1292,10 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             return 'No sent emails found';
         } else if (this.currentFilter === 'unseen') {
             return 'No unseen emails found';
+        } else if (this.currentFilter === 'snoozed') {
+            return 'No snoozed emails';
+        } else if (this.currentFilter === 'followup') {
+            return 'No emails waiting on a reply';
         }
         return 'No emails found';
     }
@@ -934,12 +1312,31 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         return this.currentFilter === 'unseen' ? 'filter-tabs button active' : 'filter-tabs button';
     }
 
+    get snoozedButtonClass() {
+        return this.currentFilter === 'snoozed' ? 'filter-tabs button active' : 'filter-tabs button';
+    }
+
+    get followUpButtonClass() {
+        return this.currentFilter === 'followup' ? 'filter-tabs button active' : 'filter-tabs button';
+    }
+
     get connectionStatusClass() {
         return `connection-status connection-${this.connectionStatus}`;
     }
 
     get hasActiveFilters() {
-        return this.searchTerm || this.fromDate || this.toDate;
+        return this.searchTerm || this.activeLabel;
+    }
+
+    get searchHelpText() {
+        return 'Searches every email you sent or received, including message bodies. ' +
+            'Operators: from:, to:, subject:, related:<record name>, has:attachment, is:unseen, is:pinned, ' +
+            'after:yyyy-mm-dd (on or after), before:yyyy-mm-dd. Quote values with spaces, e.g. from:"Jane Doe".';
+    }
+
+    get searchTruncatedMessage() {
+        return 'Only the 2,000 newest matching emails were searched. ' +
+            'Add more words or operators such as after: to find older emails.';
     }
 
     get searchInputClass() {
@@ -953,39 +1350,23 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
 
 
     handleSearch(event) {
-        this.searchTerm = event.target.value.trim();
+        const searchTerm = event.target.value.trim();
+        if (searchTerm === this.searchTerm) {
+            return;
+        }
+        this.searchTerm = searchTerm;
         
-        // Debounce search to improve performance for long lists
+        // Debounce so the server is queried once typing pauses, not on every keystroke
         if (this.searchTimeout) {
             clearTimeout(this.searchTimeout);
         }
         
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
         this.searchTimeout = setTimeout(() => {
-            this.applyCurrentFilter();
-        }, 150);
-    }
-
-    handleDateChange(event) {
-        const fieldName = event.target.name;
-        const value = event.target.value;
-        
-        if (fieldName === 'fromDate') {
-            this.fromDate = value;
-        } else if (fieldName === 'toDate') {
-            this.toDate = value;
-        }
-        
-        // Reset pagination when filters change
-        this.lastEmailId = null;
-        this.hasMoreEmails = true;
-        
-        this.applyCurrentFilter();
-    }
-
-    clearDateFilters() {
-        this.fromDate = '';
-        this.toDate = '';
-        this.applyCurrentFilter();
+            this.loadEmails().catch(() => {
+                // handleError has already reported it
+            });
+        }, 400);
     }
 
     async handlePinClick(event) {
@@ -1210,6 +1591,743 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         return fieldMapping;
     }
 
+    // ---- Inline composer: reply, reply all and forward ----
+
+    handleReplyClick(event) {
+        event.stopPropagation(); // Prevent email click navigation
+        this.openComposer(event.currentTarget.dataset.emailId, COMPOSE_REPLY);
+    }
+
+    handleComposeModeChange(event) {
+        const mode = event.currentTarget.dataset.mode;
+        if (!this.composer || this.composer.mode === mode) {
+            return;
+        }
+        const original = this.emails.find(email => email.id === this.composer.originalId);
+        if (original) {
+            this.composer = { ...this.composer, ...this.buildComposeFields(original, mode) };
+            this.loadComposeContext(original);
+        }
+    }
+
+    openComposer(emailId, mode) {
+        const original = this.emails.find(email => email.id === emailId);
+        if (!original) {
+            this.showToast('Error', 'Email not found', 'error');
+            return;
+        }
+
+        this.composer = {
+            originalId: original.id,
+            body: '',
+            templateId: null,
+            whoId: null,
+            whoName: null,
+            relatedToId: original.relatedToId || null,
+            relatedToName: original.relatedToName || null,
+            relatedToIcon: original.relatedToIcon || 'standard:default',
+            attachments: [],
+            ...this.buildComposeFields(original, mode)
+        };
+        this.loadEmailTemplates();
+        this.loadComposeContext(original);
+    }
+
+    // Recipients, subject and quoted original for a compose mode
+    buildComposeFields(original, mode) {
+        const me = (this.currentUserEmail || '').toLowerCase();
+        const splitAddresses = (value) => (value || '')
+            .split(/[;,]/)
+            .map(address => address.trim())
+            .filter(address => address);
+        const unique = (addresses, exclude = []) => {
+            const skip = new Set([me, ...exclude.map(address => address.toLowerCase())]);
+            return addresses.filter(address => {
+                const key = address.toLowerCase();
+                if (skip.has(key)) {
+                    return false;
+                }
+                skip.add(key);
+                return true;
+            });
+        };
+
+        // Replying to our own message goes back to its recipients
+        const replyTo = original.emailType === 'Sent'
+            ? splitAddresses(original.toAddress)
+            : [original.fromAddress].filter(address => address);
+
+        let to = [];
+        let cc = [];
+        if (mode === COMPOSE_REPLY) {
+            to = unique(replyTo);
+        } else if (mode === COMPOSE_REPLY_ALL) {
+            to = unique(replyTo);
+            cc = unique([...splitAddresses(original.toAddress), ...splitAddresses(original.ccAddress)], to);
+        }
+
+        return {
+            mode,
+            to: to.join('; '),
+            cc: cc.join('; '),
+            subject: this.prefixSubject(original.subject, mode === COMPOSE_FORWARD ? 'Fwd:' : 'Re:'),
+            quotedHtml: mode === COMPOSE_FORWARD ? this.buildForwardHeader(original) : this.buildReplyQuote(original)
+        };
+    }
+
+    prefixSubject(subject, prefix) {
+        const base = subject && subject !== '(No Subject)' ? subject : '';
+        const pattern = prefix === 'Re:' ? /^re\s*:/i : /^(fw|fwd)\s*:/i;
+        return pattern.test(base) ? base : `${prefix} ${base}`.trim();
+    }
+
+    getQuotableBody(email) {
+        if (email.htmlBody) {
+            return email.htmlBody;
+        }
+        return this.escapeHtml(email.textBody || '').replace(/\n/g, '<br>');
+    }
+
+    buildReplyQuote(original) {
+        const sentOn = new Date(original.messageDate || original.createdDate).toLocaleString();
+        const sender = original.fromName
+            ? `${this.escapeHtml(original.fromName)} &lt;${this.escapeHtml(original.fromAddress)}&gt;`
+            : this.escapeHtml(original.fromAddress || '');
+        return `<p>On ${sentOn}, ${sender} wrote:</p>` +
+            `<blockquote style="margin:0 0 0 0.8ex;border-left:1px solid #ccc;padding-left:1ex">${this.getQuotableBody(original)}</blockquote>`;
+    }
+
+    buildForwardHeader(original) {
+        const sentOn = new Date(original.messageDate || original.createdDate).toLocaleString();
+        const lines = [
+            '---------- Forwarded message ----------',
+            `From: ${this.escapeHtml(original.fromName || '')} &lt;${this.escapeHtml(original.fromAddress || '')}&gt;`,
+            `Date: ${sentOn}`,
+            `Subject: ${this.escapeHtml(original.subject || '')}`,
+            `To: ${this.escapeHtml(original.toAddress || '')}`
+        ];
+        if (original.ccAddress) {
+            lines.push(`Cc: ${this.escapeHtml(original.ccAddress)}`);
+        }
+        return `<p>${lines.join('<br>')}</p>${this.getQuotableBody(original)}`;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Forwarded files and the recipient's Contact/Lead for the current mode
+    async loadComposeContext(original) {
+        const composerId = original.id;
+        if (this.composer.mode === COMPOSE_FORWARD && original.hasAttachment) {
+            try {
+                const files = await getEmailAttachmentFiles({ emailId: original.id });
+                if (this.composer && this.composer.originalId === composerId) {
+                    this.addComposeAttachments(files.map(file => ({
+                        contentVersionId: file.contentVersionId,
+                        name: file.fileExtension ? `${file.title}.${file.fileExtension}` : file.title
+                    })));
+                }
+            } catch (error) {
+                console.error('❌ Error loading forwarded attachments:', error);
+                this.showToast('Warning', 'Original attachments could not be added', 'warning');
+            }
+        }
+        // Closed, or reopened on another email, while the attachments loaded
+        if (!this.composer || this.composer.originalId !== composerId) {
+            return;
+        }
+        await this.resolveComposeRecipient();
+    }
+
+    async resolveComposeRecipient() {
+        if (!this.composer) {
+            return;
+        }
+        const composerId = this.composer.originalId;
+        const primary = (this.composer.to || '').split(/[;,]/)[0].trim();
+        if (!primary) {
+            this.composer = { ...this.composer, whoId: null, whoName: null };
+            return;
+        }
+
+        try {
+            const lookupResult = await findContactOrLeadByEmail({ emailAddress: primary });
+            // Skip stale lookups: composer closed or reopened, or the recipient edited meanwhile
+            if (!this.composer || this.composer.originalId !== composerId ||
+                    (this.composer.to || '').split(/[;,]/)[0].trim() !== primary) {
+                return;
+            }
+            const updates = { whoId: null, whoName: null };
+            if (lookupResult.success) {
+                updates.whoId = lookupResult.recordId;
+                updates.whoName = lookupResult.recordName;
+
+                // Without a thread record, file the reply on the contact's account
+                if (!this.composer.relatedToId && lookupResult.recordType === 'Contact' && lookupResult.accountId) {
+                    updates.relatedToId = lookupResult.accountId;
+                    updates.relatedToName = lookupResult.accountName;
+                    updates.relatedToIcon = 'standard:account';
+                }
+            }
+            this.composer = { ...this.composer, ...updates };
+        } catch (error) {
+            console.error('❌ Error looking up recipient:', error);
+        }
+    }
+
+    async loadEmailTemplates() {
+        if (this.emailTemplates) {
+            return;
+        }
+        try {
+            const templates = await getEmailTemplates();
+            this.emailTemplates = templates.map(template => ({
+                label: template.folderName ? `${template.folderName} / ${template.name}` : template.name,
+                value: template.id
+            }));
+        } catch (error) {
+            console.error('❌ Error loading email templates:', error);
+            this.emailTemplates = [];
+        }
+    }
+
+    handleComposeFieldChange(event) {
+        if (!this.composer) {
+            return;
+        }
+        const field = event.target.dataset.field;
+        this.composer = { ...this.composer, [field]: event.target.value };
+    }
+
+    handleComposeToBlur() {
+        this.resolveComposeRecipient();
+    }
+
+    async handleTemplateChange(event) {
+        const templateId = event.detail.value;
+        this.composer = { ...this.composer, templateId };
+        try {
+            const rendered = await renderEmailTemplate({
+                templateId,
+                whoId: this.composer.whoId,
+                whatId: this.composer.relatedToId
+            });
+            if (!this.composer || this.composer.templateId !== templateId) {
+                return;
+            }
+            this.composer = {
+                ...this.composer,
+                subject: rendered.subject || this.composer.subject,
+                body: rendered.htmlBody || ''
+            };
+        } catch (error) {
+            console.error('❌ Error applying template:', error);
+            this.showToast('Error', error.body?.message || 'Failed to apply template', 'error');
+        }
+    }
+
+    handleComposeUploadFinished(event) {
+        this.addComposeAttachments(event.detail.files.map(file => ({
+            contentVersionId: file.contentVersionId,
+            name: file.name
+        })));
+    }
+
+    addComposeAttachments(files) {
+        if (!this.composer) {
+            return;
+        }
+        const existing = new Set(this.composer.attachments.map(file => file.contentVersionId));
+        const added = files.filter(file => !existing.has(file.contentVersionId));
+        this.composer = { ...this.composer, attachments: [...this.composer.attachments, ...added] };
+    }
+
+    handleRemoveComposeAttachment(event) {
+        const versionId = event.currentTarget.dataset.versionId;
+        this.composer = {
+            ...this.composer,
+            attachments: this.composer.attachments.filter(file => file.contentVersionId !== versionId)
+        };
+    }
+
+    handleClearRelatedRecord() {
+        this.composer = { ...this.composer, relatedToId: null, relatedToName: null };
+    }
+
+    closeComposer() {
+        this.composer = null;
+        this.isSending = false;
+    }
+
+    async handleSendEmail() {
+        if (!this.composer || this.isSending) {
+            return;
+        }
+        if (!this.composer.to.trim()) {
+            this.showToast('Error', 'Add at least one recipient', 'error');
+            return;
+        }
+
+        this.isSending = true;
+        try {
+            const sent = await sendEmail({
+                request: {
+                    toAddresses: this.composer.to,
+                    ccAddresses: this.composer.cc,
+                    subject: this.composer.subject,
+                    htmlBody: `${this.composer.body || ''}<br>${this.composer.quotedHtml}`,
+                    replyToEmailId: this.composer.originalId,
+                    relatedToId: this.composer.relatedToId,
+                    whoId: this.composer.whoId,
+                    contentVersionIds: this.composer.attachments.map(file => file.contentVersionId)
+                }
+            });
+
+            // Show the message under Sent without waiting for the next refresh
+            const sentEmail = this.decorateEmail({ ...sent, isSeen: true }, new Date());
+            this.emails = [sentEmail, ...this.emails.filter(email => email.id !== sentEmail.id)];
+            this.calculateCounts();
+            this.applyCurrentFilter();
+
+            this.showToast('Success', 'Email sent', 'success');
+            this.closeComposer();
+        } catch (error) {
+            console.error('❌ Error sending email:', error);
+            this.showToast('Error', error.body?.message || 'Failed to send email', 'error');
+            this.isSending = false;
+        }
+    }
+
+    get isComposerOpen() {
+        return !!this.composer;
+    }
+
+    get composeModes() {
+        return COMPOSE_MODES.map(option => ({
+            ...option,
+            variant: this.composer && this.composer.mode === option.value ? 'brand' : 'neutral'
+        }));
+    }
+
+    get composeTitle() {
+        const current = COMPOSE_MODES.find(option => option.value === this.composer?.mode);
+        return current ? current.label : '';
+    }
+
+    get composeTemplateOptions() {
+        return this.emailTemplates || [];
+    }
+
+    get hasComposeTemplates() {
+        return this.composeTemplateOptions.length > 0;
+    }
+
+    get hasComposeAttachments() {
+        return this.composer && this.composer.attachments.length > 0;
+    }
+
+    get isSendDisabled() {
+        return this.isSending || !this.composer || !this.composer.to.trim();
+    }
+
+    // ---- Snooze and follow-up reminders ----
+
+    handleReminderMenuClick(event) {
+        // Keep the menu from opening the email
+        event.stopPropagation();
+    }
+
+    handleReminderSelect(event) {
+        const emailId = event.currentTarget.dataset.emailId;
+        const choice = event.detail.value;
+
+        switch (choice) {
+            case 'snooze_tomorrow':
+                this.snoozeEmailUntil(emailId, morningInDays(1));
+                break;
+            case 'snooze_monday':
+                this.snoozeEmailUntil(emailId, nextMondayMorning());
+                break;
+            case 'unsnooze':
+                this.snoozeEmailUntil(emailId, null);
+                break;
+            case 'snooze_custom':
+            case 'followup_custom':
+                this.openReminderEditor(emailId, choice === 'snooze_custom' ? 'snooze' : 'followup');
+                break;
+            case 'followup_cancel':
+                this.cancelFollowUp(emailId);
+                break;
+            default:
+                // followup_<days>
+                if (choice.startsWith('followup_')) {
+                    this.setFollowUpDays(emailId, parseInt(choice.substring('followup_'.length), 10));
+                }
+        }
+    }
+
+    async snoozeEmailUntil(emailId, snoozeUntil) {
+        const email = this.emails.find(item => item.id === emailId);
+        if (!email) {
+            return false;
+        }
+        try {
+            const result = await snoozeEmail({ emailId, snoozeUntil: snoozeUntil ? snoozeUntil.toISOString() : null });
+            if (!result.success) {
+                this.showToast('Error', result.message || 'Failed to snooze email', 'error');
+                return false;
+            }
+            const changes = snoozeUntil
+                ? { snoozedUntil: snoozeUntil.toISOString(), isSeen: false, isNew: email.incoming }
+                : { snoozedUntil: null };
+            this.updateEmailReminderState(emailId, changes);
+            this.showToast(
+                'Success',
+                snoozeUntil ? `Snoozed until ${formatReminderTime(snoozeUntil)}` : 'Email is back in your inbox',
+                'success'
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Error snoozing email:', error);
+            this.showToast('Error', error.body?.message || 'Failed to snooze email', 'error');
+            return false;
+        }
+    }
+
+    async setFollowUpDays(emailId, days) {
+        try {
+            const result = await setFollowUpReminder({ emailId, days });
+            if (!result.success) {
+                this.showToast('Error', result.message || 'Failed to set follow-up reminder', 'error');
+                return false;
+            }
+            this.updateEmailReminderState(emailId, {
+                followUpDue: result.followUpDue || null,
+                followUpTaskId: result.followUpTaskId || null
+            });
+            this.showToast('Success', result.message, 'success');
+            return true;
+        } catch (error) {
+            console.error('❌ Error setting follow-up reminder:', error);
+            this.showToast('Error', error.body?.message || 'Failed to set follow-up reminder', 'error');
+            return false;
+        }
+    }
+
+    async cancelFollowUp(emailId) {
+        try {
+            const result = await cancelFollowUpReminder({ emailId });
+            if (!result.success) {
+                this.showToast('Error', result.message || 'Failed to cancel follow-up reminder', 'error');
+                return;
+            }
+            this.updateEmailReminderState(emailId, { followUpDue: null, followUpTaskId: null });
+            this.showToast('Success', result.message, 'success');
+        } catch (error) {
+            console.error('❌ Error cancelling follow-up reminder:', error);
+            this.showToast('Error', error.body?.message || 'Failed to cancel follow-up reminder', 'error');
+        }
+    }
+
+    updateEmailReminderState(emailId, changes) {
+        const now = new Date();
+        this.emails = this.emails.map(email => (email.id === emailId ? this.decorateEmail({ ...email, ...changes }, now) : email));
+        this.calculateCounts();
+        this.applyCurrentFilter();
+    }
+
+    openReminderEditor(emailId, mode) {
+        const email = this.emails.find(item => item.id === emailId);
+        this.reminderEditor = {
+            emailId,
+            mode,
+            subject: email ? email.subject : '',
+            snoozeUntil: morningInDays(1).toISOString(),
+            days: DEFAULT_FOLLOW_UP_DAYS
+        };
+    }
+
+    handleReminderEditorChange(event) {
+        this.reminderEditor = { ...this.reminderEditor, [event.target.dataset.field]: event.target.value };
+    }
+
+    cancelReminderEditor() {
+        this.reminderEditor = null;
+    }
+
+    async handleSaveReminder() {
+        if (!this.reminderEditor || this.isSavingReminder) {
+            return;
+        }
+        const { emailId, mode, snoozeUntil, days } = this.reminderEditor;
+        const wakeAt = new Date(snoozeUntil);
+        if (mode === 'snooze' && (!snoozeUntil || isNaN(wakeAt.getTime()) || wakeAt <= new Date())) {
+            this.showToast('Error', 'Pick a time in the future', 'error');
+            return;
+        }
+        const followUpDays = Number(days);
+        if (mode !== 'snooze' && !(Number.isInteger(followUpDays) && followUpDays >= 1 && followUpDays <= MAX_FOLLOW_UP_DAYS)) {
+            this.showToast('Error', `Choose between 1 and ${MAX_FOLLOW_UP_DAYS} days`, 'error');
+            return;
+        }
+
+        this.isSavingReminder = true;
+        try {
+            const saved = mode === 'snooze'
+                ? await this.snoozeEmailUntil(emailId, wakeAt)
+                : await this.setFollowUpDays(emailId, followUpDays);
+            if (saved) {
+                this.reminderEditor = null;
+            }
+        } finally {
+            this.isSavingReminder = false;
+        }
+    }
+
+    get isSnoozeEditor() {
+        return this.reminderEditor && this.reminderEditor.mode === 'snooze';
+    }
+
+    get reminderEditorTitle() {
+        return this.isSnoozeEditor ? 'Snooze until' : 'Remind me if there is no reply';
+    }
+
+    get reminderMinTime() {
+        return new Date().toISOString();
+    }
+
+    get maxFollowUpDays() {
+        return MAX_FOLLOW_UP_DAYS;
+    }
+
+    // ---- Triage rules ----
+
+    async loadTriageRules() {
+        try {
+            this.triageRules = await getTriageRules();
+        } catch (error) {
+            console.error('❌ Error loading triage rules:', error);
+            this.triageRules = [];
+        }
+    }
+
+    // Re-run the rules over the loaded list after they change
+    retriageEmails() {
+        const now = new Date();
+        this.emails = this.emails.map(email => this.decorateEmail(email, now));
+        if (this.activeLabel && !this.emails.some(email => email.triageLabels.includes(this.activeLabel))) {
+            this.activeLabel = null;
+        }
+        this.applyCurrentFilter();
+    }
+
+    // Sound and auto-pin for emails that arrived since the last refresh
+    applyArrivalTriage(arrivedEmails) {
+        const withSound = arrivedEmails.find(email => email.triageSound);
+        if (withSound) {
+            playTriageSound(withSound.triageSound);
+        }
+
+        arrivedEmails
+            .filter(email => email.triageAutoPin && !email.isPinned)
+            .forEach(email => {
+                this.updateEmailPinStatusOptimistic(email.id, true);
+                markEmailAsPinned({ emailId: email.id, isPinned: true })
+                    .then(result => {
+                        if (!result.success) {
+                            console.error('❌ Auto-pin failed:', result.message);
+                            this.updateEmailPinStatusOptimistic(email.id, false);
+                        }
+                    })
+                    .catch(error => {
+                        console.error('❌ Error auto-pinning email:', error);
+                        this.updateEmailPinStatusOptimistic(email.id, false);
+                    });
+            });
+    }
+
+    get labelChips() {
+        const counts = new Map();
+        this.emails.forEach(email => {
+            (email.triageLabels || []).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+        });
+        return [...counts.keys()].sort().map(label => ({
+            label,
+            count: counts.get(label),
+            cssClass: label === this.activeLabel ? 'label-chip active' : 'label-chip'
+        }));
+    }
+
+    get hasLabelChips() {
+        return this.labelChips.length > 0;
+    }
+
+    handleLabelChipClick(event) {
+        const label = event.currentTarget.dataset.label;
+        this.activeLabel = this.activeLabel === label ? null : label;
+        this.applyCurrentFilter();
+    }
+
+    handleToggleRulesPanel() {
+        this.showRulesPanel = !this.showRulesPanel;
+        this.ruleDraft = null;
+    }
+
+    get rulesToggleVariant() {
+        return this.showRulesPanel ? 'brand' : 'border-filled';
+    }
+
+    get ruleRows() {
+        return this.triageRules.map(rule => ({
+            ...rule,
+            summary: this.describeRule(rule),
+            swatchStyle: rule.highlightColor ? `background-color: ${rule.highlightColor};` : ''
+        }));
+    }
+
+    get hasTriageRules() {
+        return this.triageRules.length > 0;
+    }
+
+    describeRule(rule) {
+        const condition = CONDITION_OPTIONS.find(option => option.value === rule.conditionType);
+        const conditionLabel = condition ? condition.label : rule.conditionType;
+        const when = rule.conditionType === CONDITION_NSF_CLIENT
+            ? conditionLabel
+            : `${conditionLabel}: ${rule.conditionValue}`;
+
+        const actions = [];
+        if (rule.label) {
+            actions.push(`label "${rule.label}"`);
+        }
+        if (rule.autoPin) {
+            actions.push('pin');
+        }
+        if (rule.raisePriority) {
+            actions.push('priority');
+        }
+        if (rule.notificationSound) {
+            actions.push(`${rule.notificationSound.toLowerCase()} sound`);
+        }
+        return actions.length > 0 ? `${when} → ${actions.join(', ')}` : when;
+    }
+
+    handleNewRule() {
+        this.ruleDraft = {
+            id: null,
+            name: '',
+            active: true,
+            conditionType: CONDITION_OPTIONS[0].value,
+            conditionValue: '',
+            label: '',
+            autoPin: false,
+            raisePriority: false,
+            highlightColor: '',
+            notificationSound: '',
+            sortOrder: this.triageRules.length + 1
+        };
+    }
+
+    handleEditRule(event) {
+        const rule = this.triageRules.find(item => item.id === event.currentTarget.dataset.ruleId);
+        if (rule) {
+            this.ruleDraft = {
+                ...rule,
+                conditionValue: rule.conditionValue || '',
+                label: rule.label || '',
+                highlightColor: rule.highlightColor || '',
+                notificationSound: rule.notificationSound || ''
+            };
+        }
+    }
+
+    handleRuleDraftChange(event) {
+        const field = event.target.dataset.field;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this.ruleDraft = { ...this.ruleDraft, [field]: value };
+        if (field === 'notificationSound') {
+            playTriageSound(value);
+        }
+    }
+
+    handleClearRuleColor() {
+        this.ruleDraft = { ...this.ruleDraft, highlightColor: '' };
+    }
+
+    cancelRuleDraft() {
+        this.ruleDraft = null;
+    }
+
+    get ruleDraftTitle() {
+        return this.ruleDraft && this.ruleDraft.id ? 'Edit rule' : 'New rule';
+    }
+
+    get ruleNeedsValue() {
+        return this.ruleDraft && this.ruleDraft.conditionType !== CONDITION_NSF_CLIENT;
+    }
+
+    get conditionOptions() {
+        return CONDITION_OPTIONS;
+    }
+
+    get soundOptions() {
+        return SOUND_OPTIONS;
+    }
+
+    async handleSaveRule() {
+        if (!this.ruleDraft || this.isSavingRule) {
+            return;
+        }
+        if (await this.saveRule(this.ruleDraft)) {
+            this.ruleDraft = null;
+            this.showToast('Success', 'Triage rule saved', 'success');
+        }
+    }
+
+    async handleRuleActiveToggle(event) {
+        const rule = this.triageRules.find(item => item.id === event.target.dataset.ruleId);
+        if (rule) {
+            await this.saveRule({ ...rule, active: event.target.checked });
+        }
+    }
+
+    async saveRule(rule) {
+        this.isSavingRule = true;
+        try {
+            await saveTriageRule({ rule });
+            await this.loadTriageRules();
+            this.retriageEmails();
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving triage rule:', error);
+            this.showToast('Error', error.body?.message || 'Failed to save triage rule', 'error');
+            return false;
+        } finally {
+            this.isSavingRule = false;
+        }
+    }
+
+    async handleDeleteRule(event) {
+        const ruleId = event.currentTarget.dataset.ruleId;
+        try {
+            await deleteTriageRule({ ruleId });
+            if (this.ruleDraft && this.ruleDraft.id === ruleId) {
+                this.ruleDraft = null;
+            }
+            await this.loadTriageRules();
+            this.retriageEmails();
+            this.showToast('Success', 'Triage rule deleted', 'success');
+        } catch (error) {
+            console.error('❌ Error deleting triage rule:', error);
+            this.showToast('Error', error.body?.message || 'Failed to delete triage rule', 'error');
+        }
+    }
+
     updateEmailPinStatusOptimistic(emailId, isPinned) {
         const pinIconName = isPinned ? 'utility:pinned' : 'utility:pin';
         const pinTitle = isPinned ? 'Unpin email' : 'Pin email';
@@ -1256,12 +2374,7 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
         try {
             this.isLoadingMore = true;
             
-            const result = await getInboundEmails({ 
-                limitCount: this.limitCount, 
-                lastEmailId: this.lastEmailId,
-                fromDate: this.fromDate || null,
-                toDate: this.toDate || null
-            });
+            const result = await this.fetchEmailPage(this.lastEmailId, this.loadedSearchTerm);
             
             this.processEmailData(result, true); // true indicates load more
             this.hasMoreEmails = result.hasMore;
@@ -1983,8 +3096,8 @@ export default class EmailInboxUtility extends NavigationMixin(LightningElement)
             const result = await getInboundEmails({ 
                 limitCount: 10, // Just check first 10 emails for performance
                 lastEmailId: null, 
-                fromDate: this.fromDate || null,
-                toDate: this.toDate || null
+                fromDate: null,
+                toDate: null
             });
             
             if (result && result.emails) {
@@ -0,0 +1,50 @@
+import { evaluateTriage, matchesRule, matchesFileName, CONDITION_NSF_CLIENT } from 'c/emailTriageEngine';
+
+// Same fixtures EmailTriageParityTest.cls runs through EmailTriageService.evaluate
+const parity = require('../../../staticresources/EmailTriageParityFixtures.json');
+
+describe('c-email-triage-engine', () => {
+    describe('parity with Apex EmailTriageService.evaluate', () => {
+        it('has fixtures to run', () => {
+            expect(parity.fixtures.length).toBeGreaterThan(0);
+        });
+
+        it.each(parity.fixtures.map((f) => [f.name, f]))('%s', (name, fixture) => {
+            expect(evaluateTriage(fixture.email, parity.rules)).toEqual(fixture.expected);
+        });
+    });
+
+    describe('parity with Apex EmailTriageService.matchesFileName', () => {
+        it.each(parity.fileNames.map((f) => [f.fileName, f.pattern, f]))('"%s" against %s', (fileName, pattern, fixture) => {
+            expect(matchesFileName(fileName, pattern)).toBe(fixture.expected);
+        });
+    });
+
+    describe('rules', () => {
+        it('skips inactive rules', () => {
+            const inactive = parity.rules.filter((rule) => !rule.active);
+            const email = { subject: 'Your statement', attachmentNames: [] };
+
+            expect(inactive.length).toBeGreaterThan(0);
+            expect(inactive.every((rule) => matchesRule(rule, email))).toBe(true);
+            expect(evaluateTriage(email, inactive).labels).toEqual([]);
+        });
+
+        it('matches NSF clients without a condition value', () => {
+            const rule = { conditionType: CONDITION_NSF_CLIENT, conditionValue: null };
+
+            expect(matchesRule(rule, { senderIsNsfClient: true })).toBe(true);
+            expect(matchesRule(rule, { senderIsNsfClient: undefined })).toBe(false);
+        });
+
+        it('returns an empty result when there are no rules', () => {
+            expect(evaluateTriage({ subject: 'Anything' }, null)).toEqual({
+                labels: [],
+                autoPin: false,
+                isPriority: false,
+                highlightColor: null,
+                notificationSound: null
+            });
+        });
+    });
+});
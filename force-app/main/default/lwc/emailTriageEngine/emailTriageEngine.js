@@ -0,0 +1,158 @@
+/**
+ * Client-side email triage.
+ *
+ * Mirror of EmailTriageService.matches/evaluate so emailInboxUtility can label, highlight and
+ * prioritise its list with the user's current rules - including emails that never went through
+ * InboundEmailHandler and rules created after an email arrived. The server supplies the facts
+ * the browser cannot work out (EmailInfo.senderIsNsfClient and attachmentNames).
+ *
+ * KEEP IN SYNC: a change to the Apex matching must be reflected here. The parity suite
+ * (__tests__/emailTriageEngine.test.js and EmailTriageParityTest.cls) runs the fixtures in
+ * staticresources/EmailTriageParityFixtures.json against both implementations.
+ */
+
+export const CONDITION_FROM_DOMAIN = 'From_Domain';
+export const CONDITION_SUBJECT_CONTAINS = 'Subject_Contains';
+export const CONDITION_NSF_CLIENT = 'NSF_Client';
+export const CONDITION_ATTACHMENT_NAME = 'Attachment_Name';
+
+export const CONDITION_OPTIONS = [
+    { label: 'From domain', value: CONDITION_FROM_DOMAIN },
+    { label: 'Subject contains', value: CONDITION_SUBJECT_CONTAINS },
+    { label: 'From enrolled client with NSF status', value: CONDITION_NSF_CLIENT },
+    { label: 'Attachment name matches', value: CONDITION_ATTACHMENT_NAME }
+];
+
+// Tone sequences (Hz, seconds) played through Web Audio, so no sound files are needed
+const SOUNDS = {
+    Chime: [[880, 0.12], [1320, 0.2]],
+    Ping: [[1046, 0.15]],
+    Alert: [[660, 0.1], [660, 0.1], [880, 0.2]]
+};
+
+export const SOUND_OPTIONS = [
+    { label: 'None', value: '' },
+    ...Object.keys(SOUNDS).map(sound => ({ label: sound, value: sound }))
+];
+
+function splitValues(value) {
+    return (value || '')
+        .split(',')
+        .map(part => part.trim().toLowerCase())
+        .filter(part => part);
+}
+
+function getDomain(address) {
+    if (!address || !address.includes('@')) {
+        return null;
+    }
+    return address.substring(address.lastIndexOf('@') + 1).trim().replace(/>$/, '').toLowerCase();
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A pattern with * wildcards must match the whole name; a plain word matches anywhere.
+ */
+export function matchesFileName(fileName, pattern) {
+    if (!fileName) {
+        return false;
+    }
+    const name = fileName.toLowerCase();
+    if (!pattern.includes('*')) {
+        return name.includes(pattern);
+    }
+    const regex = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+    return regex.test(name);
+}
+
+export function matchesRule(rule, email) {
+    if (rule.conditionType === CONDITION_NSF_CLIENT) {
+        return email.senderIsNsfClient === true;
+    }
+
+    const values = splitValues(rule.conditionValue);
+    if (values.length === 0) {
+        return false;
+    }
+
+    switch (rule.conditionType) {
+        case CONDITION_FROM_DOMAIN: {
+            const domain = getDomain(email.fromAddress);
+            // Subdomains count: mail.creditor.com is from creditor.com
+            return domain !== null && values.some(value => {
+                const ruleDomain = value.replace(/^@/, '');
+                return domain === ruleDomain || domain.endsWith('.' + ruleDomain);
+            });
+        }
+        case CONDITION_SUBJECT_CONTAINS: {
+            const subject = (email.subject || '').toLowerCase();
+            return values.some(value => subject.includes(value));
+        }
+        case CONDITION_ATTACHMENT_NAME:
+            return (email.attachmentNames || []).some(fileName =>
+                values.some(value => matchesFileName(fileName, value)));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Applies every active rule in order; labels accumulate, the first highlight and sound win.
+ * @param {Object} email EmailInfo from EmailInboxController
+ * @param {Array} rules RuleWrapper list from EmailTriageRuleController.getTriageRules
+ * @returns {{labels: string[], autoPin: boolean, isPriority: boolean, highlightColor: ?string, notificationSound: ?string}}
+ */
+export function evaluateTriage(email, rules) {
+    const result = { labels: [], autoPin: false, isPriority: false, highlightColor: null, notificationSound: null };
+    (rules || []).filter(rule => rule.active).forEach(rule => {
+        if (!matchesRule(rule, email)) {
+            return;
+        }
+        if (rule.label && !result.labels.includes(rule.label)) {
+            result.labels.push(rule.label);
+        }
+        result.autoPin = result.autoPin || rule.autoPin === true;
+        result.isPriority = result.isPriority || rule.raisePriority === true;
+        if (!result.highlightColor && rule.highlightColor) {
+            result.highlightColor = rule.highlightColor;
+        }
+        if (!result.notificationSound && rule.notificationSound) {
+            result.notificationSound = rule.notificationSound;
+        }
+    });
+    return result;
+}
+
+let audioContext;
+
+/**
+ * Plays one of the SOUNDS; silently does nothing where Web Audio is unavailable or blocked.
+ */
+export function playTriageSound(sound) {
+    const tones = SOUNDS[sound];
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!tones || !AudioContextClass) {
+        return;
+    }
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        let startAt = audioContext.currentTime;
+        tones.forEach(([frequency, duration]) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.2, startAt);
+            gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(startAt);
+            oscillator.stop(startAt + duration);
+            startAt += duration + 0.03;
+        });
+    } catch (error) {
+        console.warn('Triage sound could not be played:', error);
+    }
+}
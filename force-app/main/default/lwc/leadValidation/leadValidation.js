@@ -1,58 +1,134 @@
 import { LightningElement, api, wire } from 'lwc';
-import { getRecord } from 'lightning/uiRecordApi';
+import { getRecord, updateRecord } from 'lightning/uiRecordApi';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import validateLead from '@salesforce/apex/LeadValidationController.validateLead';
 
-import EMAIL from '@salesforce/schema/Lead.Email';
-import PHONE from '@salesforce/schema/Lead.Phone';
-import MOBILE from '@salesforce/schema/Lead.MobilePhone';
+import LAST_MODIFIED from '@salesforce/schema/Lead.LastModifiedDate';
+
+// Display order and styling per rule severity (Lead_Validation_Rule__mdt.Severity__c)
+const SEVERITY_STYLES = {
+    Error: { order: 0, boxClass: 'error-box', textClass: 'error-text', iconName: 'utility:error', iconClass: 'error-icon' },
+    Warning: { order: 1, boxClass: 'warning-box', textClass: 'warning-text', iconName: 'utility:warning', iconClass: 'warning-icon' },
+    Info: { order: 2, boxClass: 'info-box', textClass: 'info-text', iconName: 'utility:info', iconClass: 'info-icon' }
+};
 
 export default class LeadValidation extends LightningElement {
 
-    @api recordId; 
-    errors = [];
-    noErrors = false;
+    @api recordId;
+    issues = [];
+    rulesEvaluated = 0;
+    isLoading = false;
+    loadError = null;
+    fixingRule = null;
+
+    _validateSeq = 0;
 
-    @wire(getRecord, { recordId: '$recordId', fields: [EMAIL, PHONE, MOBILE] })
+    // Re-validate whenever the Lead is saved (including after a fix is applied)
+    @wire(getRecord, { recordId: '$recordId', fields: [LAST_MODIFIED] })
     leadRecord({ data, error }) {
         if (data) {
-            const email = data.fields.Email.value;
-            const phone = data.fields.Phone.value;
-            const mobile = data.fields.MobilePhone.value;
-
-            this.validateFields(email, phone, mobile);
+            this.runValidation();
         }
         if (error) {
-            this.errors = ['Error fetching Lead fields'];
+            this.loadError = 'Error fetching Lead fields';
         }
     }
 
-    validateFields(email, phone, mobile) {
-        this.errors = [];
-
-        // ---------- PHONE VALIDATION ----------
-        if (!phone) {
-            this.errors.push('Phone number is empty, please fill it.');
-        } else if (phone.replace(/\D/g, '').length !== 10) {
-            this.errors.push('Phone number must be exactly 10 digits.');
+    async runValidation() {
+        const seq = ++this._validateSeq;
+        this.isLoading = true;
+        try {
+            const result = await validateLead({ leadId: this.recordId });
+            if (seq !== this._validateSeq) {
+                return;
+            }
+            this.issues = result.issues || [];
+            this.rulesEvaluated = result.rulesEvaluated || 0;
+            this.loadError = null;
+        } catch (error) {
+            if (seq !== this._validateSeq) {
+                return;
+            }
+            this.loadError = error?.body?.message || error?.message || 'Error validating Lead';
+            this.issues = [];
+        } finally {
+            if (seq === this._validateSeq) {
+                this.isLoading = false;
+            }
         }
+    }
 
-        // ---------- MOBILE VALIDATION ----------
-        if (!mobile) {
-            this.errors.push('Mobile number is empty, please fill it.');
-        } else if (mobile.replace(/\D/g, '').length !== 10) {
-            this.errors.push('Mobile number must be exactly 10 digits.');
-        }
+    get hasLoadError() {
+        return !!this.loadError;
+    }
 
-        // ---------- EMAIL VALIDATION ----------
-        if (!email) {
-            this.errors.push('Email address is empty, please fill it.');
-        } else {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                this.errors.push('Email address is not valid.');
-            }
-        }
+    get noErrors() {
+        return !this.loadError && !this.isLoading && this.issues.length === 0;
+    }
+
+    get successMessage() {
+        return `All ${this.rulesEvaluated} lead checks passed.`;
+    }
 
-        this.noErrors = this.errors.length === 0;
+    get summaryText() {
+        const counts = Object.keys(SEVERITY_STYLES)
+            .map(severity => ({ severity, count: this.issues.filter(i => i.severity === severity).length }))
+            .filter(c => c.count > 0)
+            .map(c => `${c.count} ${c.severity.toLowerCase()}${c.count === 1 ? '' : 's'}`);
+        return counts.join(', ');
+    }
+
+    get displayIssues() {
+        return [...this.issues]
+            .sort((a, b) => this.severityStyle(a.severity).order - this.severityStyle(b.severity).order)
+            .map(issue => {
+                const style = this.severityStyle(issue.severity);
+                return {
+                    ...issue,
+                    key: `${issue.ruleName}-${issue.fieldApiName}`,
+                    boxClass: style.boxClass,
+                    textClass: style.textClass,
+                    iconName: style.iconName,
+                    iconClass: style.iconClass,
+                    canFix: !!issue.fixValue,
+                    isFixing: this.fixingRule === issue.ruleName,
+                    hasMatches: (issue.matches || []).length > 0,
+                    matchLinks: (issue.matches || []).map(match => ({
+                        ...match,
+                        url: `/lightning/r/${match.objectType}/${match.id}/view`,
+                        label: `${match.name} (${match.objectType})`
+                    }))
+                };
+            });
+    }
+
+    severityStyle(severity) {
+        return SEVERITY_STYLES[severity] || SEVERITY_STYLES.Error;
+    }
+
+    async handleFix(event) {
+        const ruleName = event.currentTarget.dataset.rule;
+        const issue = this.issues.find(i => i.ruleName === ruleName);
+        if (!issue || !issue.fixValue) {
+            return;
+        }
+        this.fixingRule = ruleName;
+        try {
+            await updateRecord({ fields: { Id: this.recordId, [issue.fieldApiName]: issue.fixValue } });
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Lead updated',
+                message: `${issue.fieldLabel} set to ${issue.fixValue}`,
+                variant: 'success'
+            }));
+        } catch (error) {
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Fix failed',
+                message: error?.body?.message || error?.message || 'Unable to update the Lead',
+                variant: 'error'
+            }));
+        } finally {
+            this.fixingRule = null;
+        }
     }
 
-}
\ No newline at end of file
+}
@@ -2,184 +2,260 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
-import getOpportunityJourneys from '@salesforce/apex/OpportunityJourneyController.getOpportunityJourneys';
+import { encodeDefaultFieldValues } from 'lightning/pageReferenceUtils';
+import getCasePanel from '@salesforce/apex/OpportunityJourneyController.getCasePanel';
+
+// Rows shown per section before "View all"
+const PREVIEW_LIMIT = 5;
+
+const SECTION_WELCOME = 'welcome';
+const SECTION_LEGAL = 'legal';
+const SECTION_SUPPORT = 'support';
+const SECTION_NEGOTIATION = 'negotiation';
 
 export default class OpportunityCasePanel extends NavigationMixin(LightningElement) {
-    
+
     @api opportunityId;
-    @track opportunity = {};
-    @track isLoading = false;
+    @track panel;
+    @track isLoading = true;
     @track error;
-    
-    // Mock data for case sections until Apex methods can be deployed
-    @track welcomeCases = [];
-    @track legalCases = [];
-    @track supportCases = [];
-    @track negotiations = [];
-    @track opportunitySummary = {
-        totalDebt: 0,
-        settledAmount: 0,
-        activeNegotiations: 0
-    };
-    
+
     // Section expansion state
     @track isWelcomeSectionExpanded = true;
     @track isLegalSectionExpanded = false;
     @track isSupportSectionExpanded = false;
     @track isNegotiationSectionExpanded = false;
-    
-    wiredOpportunityResult;
-    
-    @wire(getOpportunityJourneys)
-    wiredOpportunities(result) {
-        this.wiredOpportunitiesResult = result;
-        this.isLoading = true;
-        
-        if (result.data) {
-            // Find our specific opportunity from the list
-            this.opportunity = result.data.find(opp => opp.Id === this.opportunityId);
-            if (this.opportunity) {
-                this.processOpportunityData();
-            }
+
+    // Sections showing every row instead of the preview
+    @track showAll = {};
+
+    wiredPanelResult;
+
+    @wire(getCasePanel, { opportunityId: '$opportunityId' })
+    wiredPanel(result) {
+        this.wiredPanelResult = result;
+
+        if (result.data !== undefined) {
+            this.panel = result.data;
             this.error = undefined;
+            this.isLoading = false;
         } else if (result.error) {
+            this.panel = undefined;
             this.error = result.error;
-            console.error('Opportunities error:', result.error);
+            this.isLoading = false;
+            console.error('Case panel error:', result.error);
         }
-        
-        this.isLoading = false;
-    }
-    
-    processOpportunityData() {
-        if (!this.opportunity) return;
-        
-        // Create mock summary data based on opportunity
-        this.opportunitySummary = {
-            totalDebt: this.opportunity.Amount || 0,
-            settledAmount: 0,
-            activeNegotiations: 0,
-            opportunityName: this.opportunity.Name || '',
-            stage: this.opportunity.StageName || ''
+    }
+
+    get opportunitySummary() {
+        if (!this.panel) return null;
+        return {
+            totalDebt: this.formatCurrency(this.panel.totalDebt),
+            settledAmount: this.formatCurrency(this.panel.settledAmount),
+            opportunityName: this.panel.opportunityName || '',
+            stage: this.panel.stageName || ''
         };
-        
-        // For demo purposes, create placeholder case data
-        this.createMockCaseData();
-    }
-    
-    createMockCaseData() {
-        // Create placeholder welcome cases
-        this.welcomeCases = [
-            {
-                id: 'welcome-001',
-                caseNumber: 'W-000001',
-                subject: 'Client Onboarding - ' + (this.opportunity.Name || 'Unknown'),
-                welcomeTeamJourney: 'Documents Received',
-                ownerName: 'Welcome Team',
-                lastModifiedDisplay: 'Today',
-                statusBadgeClass: 'slds-badge slds-theme_info'
-            }
-        ];
-        
-        // Create placeholder legal cases
-        this.legalCases = [
-            {
-                id: 'legal-001',
-                caseNumber: 'L-000001',
-                subject: 'Legal Review - ' + (this.opportunity.Name || 'Unknown'),
-                legalStatus: 'Under Review',
-                legalRepresentative: 'Legal Team',
-                activeNegotiations: 0,
-                legalStatusBadgeClass: 'slds-badge slds-theme_warning'
-            }
-        ];
-        
-        // Create placeholder support cases
-        this.supportCases = [
-            {
-                id: 'support-001',
-                caseNumber: 'S-000001',
-                subject: 'Client Support - ' + (this.opportunity.Name || 'Unknown'),
-                requestType: 'General Support',
-                ownerName: 'Support Team',
-                status: 'Open',
-                statusBadgeClass: 'slds-badge slds-theme_success'
-            }
-        ];
-        
-        // Create placeholder negotiations
-        this.negotiations = [];
     }
-    
+
+    get welcomeCases() {
+        return this.decorateCases(this.panel ? this.panel.welcomeCases : [], SECTION_WELCOME);
+    }
+
+    get legalCases() {
+        return this.decorateCases(this.panel ? this.panel.legalCases : [], SECTION_LEGAL);
+    }
+
+    get supportCases() {
+        return this.decorateCases(this.panel ? this.panel.supportCases : [], SECTION_SUPPORT);
+    }
+
+    get negotiations() {
+        const negotiations = this.panel ? this.panel.activeNegotiations : [];
+        return this.limitRows(negotiations, SECTION_NEGOTIATION).map(negotiation => ({
+            ...negotiation,
+            settlementOfferDisplay: this.formatCurrency(negotiation.settlementOffer),
+            counterOfferDisplay: this.formatCurrency(negotiation.counterOffer),
+            creditorDisplay: negotiation.creditorName || '—'
+        }));
+    }
+
+    decorateCases(cases, section) {
+        return this.limitRows(cases, section).map(caseRecord => ({
+            ...caseRecord,
+            subject: caseRecord.subject || '(No subject)',
+            ownerName: caseRecord.ownerName || '—',
+            welcomeTeamJourney: caseRecord.welcomeTeamJourney || 'Not started',
+            legalStatus: caseRecord.legalStatus || 'Not set',
+            creditorDisplay: caseRecord.creditorName || '—',
+            lastModifiedDisplay: this.formatRelativeDate(caseRecord.lastModifiedDate),
+            statusBadgeClass: this.getStatusBadgeClass(caseRecord),
+            legalStatusBadgeClass: caseRecord.isClosed ? 'slds-badge' : 'slds-badge slds-theme_warning'
+        }));
+    }
+
+    limitRows(rows, section) {
+        return this.showAll[section] ? rows : rows.slice(0, PREVIEW_LIMIT);
+    }
+
     // Getters for template
     get hasWelcomeCasesData() {
-        return this.welcomeCases && this.welcomeCases.length > 0;
+        return this.welcomeCaseCount > 0;
     }
-    
+
     get hasLegalCases() {
-        return this.legalCases && this.legalCases.length > 0;
+        return this.legalCaseCount > 0;
     }
-    
+
     get hasSupportCases() {
-        return this.supportCases && this.supportCases.length > 0;
+        return this.supportCaseCount > 0;
     }
-    
+
     get hasNegotiations() {
-        return this.negotiations && this.negotiations.length > 0;
+        return this.activeNegotiationCount > 0;
     }
-    
+
     get welcomeCaseCount() {
-        return this.welcomeCases ? this.welcomeCases.length : 0;
+        return this.panel ? this.panel.welcomeCases.length : 0;
     }
-    
+
     get legalCaseCount() {
-        return this.legalCases ? this.legalCases.length : 0;
+        return this.panel ? this.panel.legalCases.length : 0;
     }
-    
+
     get supportCaseCount() {
-        return this.supportCases ? this.supportCases.length : 0;
+        return this.panel ? this.panel.supportCases.length : 0;
     }
-    
+
     get activeNegotiationCount() {
-        return this.negotiations ? this.negotiations.length : 0;
+        return this.panel ? this.panel.activeNegotiations.length : 0;
     }
-    
+
     get totalCasesCount() {
         return this.welcomeCaseCount + this.legalCaseCount + this.supportCaseCount;
     }
-    
+
+    get showWelcomeViewAll() {
+        return this.welcomeCaseCount > PREVIEW_LIMIT;
+    }
+
+    get showLegalViewAll() {
+        return this.legalCaseCount > PREVIEW_LIMIT;
+    }
+
+    get showSupportViewAll() {
+        return this.supportCaseCount > PREVIEW_LIMIT;
+    }
+
+    get showNegotiationViewAll() {
+        return this.activeNegotiationCount > PREVIEW_LIMIT;
+    }
+
+    get welcomeViewAllLabel() {
+        return this.getViewAllLabel(SECTION_WELCOME, this.welcomeCaseCount);
+    }
+
+    get legalViewAllLabel() {
+        return this.getViewAllLabel(SECTION_LEGAL, this.legalCaseCount);
+    }
+
+    get supportViewAllLabel() {
+        return this.getViewAllLabel(SECTION_SUPPORT, this.supportCaseCount);
+    }
+
+    get negotiationViewAllLabel() {
+        return this.getViewAllLabel(SECTION_NEGOTIATION, this.activeNegotiationCount);
+    }
+
+    getViewAllLabel(section, count) {
+        return this.showAll[section] ? 'Show fewer' : `View all ${count}`;
+    }
+
     // Section toggle handlers
     handleWelcomeSectionToggle() {
         this.isWelcomeSectionExpanded = !this.isWelcomeSectionExpanded;
     }
-    
+
     handleLegalSectionToggle() {
         this.isLegalSectionExpanded = !this.isLegalSectionExpanded;
     }
-    
+
     handleSupportSectionToggle() {
         this.isSupportSectionExpanded = !this.isSupportSectionExpanded;
     }
-    
+
     handleNegotiationSectionToggle() {
         this.isNegotiationSectionExpanded = !this.isNegotiationSectionExpanded;
     }
-    
+
     // Action handlers
+    handleViewAll(event) {
+        const section = event.currentTarget.dataset.section;
+        this.showAll = { ...this.showAll, [section]: !this.showAll[section] };
+    }
+
+    handleSectionCreateCase(event) {
+        // The button sits in the clickable section header
+        event.stopPropagation();
+        this.createCase(event.currentTarget.dataset.section);
+    }
+
     handleCreateCase() {
-        this.showToast('Info', 'Case creation functionality coming soon', 'info');
+        this.createCase(SECTION_SUPPORT);
+    }
+
+    /**
+     * Opens the standard new-Case form pre-linked to this opportunity's client. Welcome and
+     * legal cases use their record types so Case_Set_Service_Record_Type routes them. Origin is
+     * left for the user to pick from the org's picklist.
+     */
+    createCase(section) {
+        if (!this.panel) return;
+
+        const defaults = {
+            Opportunity__c: this.opportunityId
+        };
+        if (this.panel.accountId) defaults.AccountId = this.panel.accountId;
+        if (this.panel.contactId) defaults.ContactId = this.panel.contactId;
+
+        const state = { defaultFieldValues: encodeDefaultFieldValues(defaults) };
+        const recordTypeId = this.panel.recordTypeIds ? this.panel.recordTypeIds[section] : null;
+        if (recordTypeId) {
+            state.recordTypeId = recordTypeId;
+        }
+
+        this[NavigationMixin.Navigate]({
+            type: 'standard__objectPage',
+            attributes: {
+                objectApiName: 'Case',
+                actionName: 'new'
+            },
+            state
+        });
     }
-    
+
     handleViewAllLegalCases() {
-        this.showToast('Info', 'Legal cases view functionality coming soon', 'info');
+        this.isLegalSectionExpanded = true;
+        this.showAll = { ...this.showAll, [SECTION_LEGAL]: true };
     }
-    
+
     handleCheckNegotiationStatus() {
-        this.showToast('Info', 'Negotiation status check functionality coming soon', 'info');
+        this.isNegotiationSectionExpanded = true;
+        this.refreshData();
     }
-    
+
+    handleOpenRecord(event) {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: event.currentTarget.dataset.id,
+                actionName: 'view'
+            }
+        });
+    }
+
     refreshData() {
         this.isLoading = true;
-        return refreshApex(this.wiredOpportunitiesResult)
+        return refreshApex(this.wiredPanelResult)
             .then(() => {
                 this.showToast('Success', 'Data refreshed successfully', 'success');
             })
@@ -190,7 +266,31 @@ export default class OpportunityCasePanel extends NavigationMixin(LightningEleme
                 this.isLoading = false;
             });
     }
-    
+
+    getStatusBadgeClass(caseRecord) {
+        if (caseRecord.isClosed) return 'slds-badge';
+        if (caseRecord.priority === 'High') return 'slds-badge slds-theme_error';
+        return 'slds-badge slds-theme_info';
+    }
+
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumFractionDigits: 0
+        }).format(amount || 0);
+    }
+
+    formatRelativeDate(dateTimeString) {
+        if (!dateTimeString) return '—';
+        const then = new Date(dateTimeString);
+        const days = Math.floor((Date.now() - then.getTime()) / (24 * 60 * 60 * 1000));
+        if (days <= 0) return 'Today';
+        if (days === 1) return 'Yesterday';
+        if (days < 30) return `${days} days ago`;
+        return then.toLocaleDateString();
+    }
+
     showToast(title, message, variant) {
         const evt = new ShowToastEvent({
             title: title,
@@ -199,4 +299,4 @@ export default class OpportunityCasePanel extends NavigationMixin(LightningEleme
         });
         this.dispatchEvent(evt);
     }
-}
\ No newline at end of file
+}
@@ -3,6 +3,14 @@ import { NavigationMixin } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getEmailAttachments from '@salesforce/apex/OpportunityEmailAttachmentController.getEmailAttachments';
+import getFileTypeOptions from '@salesforce/apex/RelatedRecordFileController.getFileTypeOptions';
+import updateFileType from '@salesforce/apex/RelatedRecordFileController.updateFileType';
+import getRelatedRecords from '@salesforce/apex/RelatedRecordFileController.getRelatedRecords';
+import syncFileToRecords from '@salesforce/apex/RelatedRecordFileController.syncFileToRecords';
+
+// Every version ID adds ~19 characters to the zip download URL
+const MAX_ZIP_FILES = 50;
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif'];
 
 export default class OpportunityEmailAttachments extends NavigationMixin(LightningElement) {
     @api recordId; // Opportunity Id passed from record page
@@ -11,6 +19,12 @@ export default class OpportunityEmailAttachments extends NavigationMixin(Lightni
     @track error;
     @track hasAttachments = false;
     @track wiredAttachmentsResult; // Store the wired result for refreshing
+    @track fileTypeOptions = [];
+    @track selectedFileIds = [];
+    @track previewFile;
+    @track filingFile;
+    @track isFiling = false;
+    syncTargetIds; // Opportunity plus its Account-hub records, loaded on first filing
     
     // File type icons mapping
     fileTypeIcons = {
@@ -47,6 +61,15 @@ export default class OpportunityEmailAttachments extends NavigationMixin(Lightni
         }
     }
     
+    @wire(getFileTypeOptions)
+    wiredFileTypeOptions({ error, data }) {
+        if (data) {
+            this.fileTypeOptions = data;
+        } else if (error) {
+            this.showToast('Error', 'Error loading document types: ' + this.reduceErrors(error), 'error');
+        }
+    }
+    
     // Process the attachments returned from Apex
     processAttachments(data) {
         if (data && data.length > 0) {
@@ -54,17 +77,45 @@ export default class OpportunityEmailAttachments extends NavigationMixin(Lightni
             this.attachments = data.map(att => {
                 // Determine file extension
                 const ext = this.getFileExtension(att.name).toLowerCase();
+                const isContentDocument = att.fileType === 'ContentDocument';
                 
                 return {
                     ...att,
                     iconName: this.getFileIcon(ext),
-                    url: this.getFileUrl(att)
+                    url: this.getFileUrl(att),
+                    isContentDocument,
+                    isPdf: ext === 'pdf',
+                    isImage: IMAGE_EXTENSIONS.includes(ext),
+                    canPreview: ext === 'pdf' || IMAGE_EXTENSIONS.includes(ext),
+                    previewUrl: this.getPreviewUrl(att, ext)
                 };
             });
         } else {
             this.hasAttachments = false;
             this.attachments = [];
         }
+        
+        // Drop selections and panels for files that are no longer listed
+        const listedIds = new Set(this.attachments.map(att => att.id));
+        this.selectedFileIds = this.selectedFileIds.filter(id => listedIds.has(id));
+        if (this.previewFile && !listedIds.has(this.previewFile.id)) {
+            this.previewFile = undefined;
+        }
+        if (this.filingFile && !listedIds.has(this.filingFile.id)) {
+            this.filingFile = undefined;
+        }
+    }
+    
+    // Rows with their selection state and filed document type
+    get attachmentRows() {
+        const typeLabels = new Map(this.fileTypeOptions.map(option => [option.value, option.label]));
+        return this.attachments.map(att => ({
+            ...att,
+            isSelected: this.selectedFileIds.includes(att.id),
+            // Legacy Attachments have no ContentVersion to zip or file
+            cannotSelect: !att.isContentDocument,
+            documentTypeLabel: att.documentType ? typeLabels.get(att.documentType) || att.documentType : null
+        }));
     }
     
     // Get file extension from name
@@ -87,6 +138,15 @@ export default class OpportunityEmailAttachments extends NavigationMixin(Lightni
         }
     }
     
+    // Inline URL for the preview panel; the download URLs force a download
+    getPreviewUrl(fileWrapper, extension) {
+        if (fileWrapper.fileType !== 'ContentDocument') {
+            return `/servlet/servlet.FileDownload?file=${fileWrapper.id}`;
+        }
+        const rendition = extension === 'pdf' ? 'ORIGINAL_Pdf' : 'THUMB720BY480';
+        return `/sfc/servlet.shepherd/version/renditionDownload?rendition=${rendition}&versionId=${fileWrapper.versionId}`;
+    }
+    
     // Navigate to source record when clicked
     handleSourceClick(event) {
         const sourceId = event.currentTarget.dataset.id;
@@ -100,10 +160,118 @@ export default class OpportunityEmailAttachments extends NavigationMixin(Lightni
         });
     }
     
-    // Download a file when clicked
+    // Preview PDFs and images in the panel, download anything else
     handleFileClick(event) {
-        const url = event.currentTarget.dataset.url;
-        window.open(url, '_blank');
+        const file = this.attachments.find(att => att.id === event.currentTarget.dataset.id);
+        if (!file) {
+            return;
+        }
+        if (file.canPreview) {
+            this.previewFile = file;
+        } else {
+            window.open(file.url, '_blank');
+        }
+    }
+    
+    handleClosePreview() {
+        this.previewFile = undefined;
+    }
+    
+    handleDownloadPreview() {
+        window.open(this.previewFile.url, '_blank');
+    }
+    
+    // ---- Selection and zip download ----
+    
+    get selectableFileIds() {
+        return this.attachments.filter(att => att.isContentDocument).map(att => att.id);
+    }
+    
+    get hasSelectableFiles() {
+        return this.selectableFileIds.length > 0;
+    }
+    
+    get selectedCount() {
+        return this.selectedFileIds.length;
+    }
+    
+    get allSelected() {
+        const selectable = this.selectableFileIds;
+        return selectable.length > 0 && selectable.every(id => this.selectedFileIds.includes(id));
+    }
+    
+    get isDownloadDisabled() {
+        return this.selectedFileIds.length === 0;
+    }
+    
+    handleSelectFile(event) {
+        const fileId = event.target.dataset.id;
+        if (event.target.checked) {
+            this.selectedFileIds = [...this.selectedFileIds, fileId];
+        } else {
+            this.selectedFileIds = this.selectedFileIds.filter(id => id !== fileId);
+        }
+    }
+    
+    handleSelectAll(event) {
+        this.selectedFileIds = event.target.checked ? this.selectableFileIds : [];
+    }
+    
+    // Salesforce zips several versions listed in one download URL
+    handleDownloadSelected() {
+        const versionIds = this.attachments
+            .filter(att => this.selectedFileIds.includes(att.id))
+            .map(att => att.versionId);
+        if (versionIds.length > MAX_ZIP_FILES) {
+            this.showToast('Too many files', `Select up to ${MAX_ZIP_FILES} files to download at once.`, 'warning');
+            return;
+        }
+        window.open(`/sfc/servlet.shepherd/version/download/${versionIds.join('/')}`, '_blank');
+    }
+    
+    // ---- File as ----
+    
+    handleFileAsClick(event) {
+        const file = this.attachments.find(att => att.id === event.currentTarget.dataset.id);
+        if (file) {
+            this.filingFile = { id: file.id, versionId: file.versionId, name: file.name, documentType: file.documentType };
+        }
+    }
+    
+    handleFilingTypeChange(event) {
+        this.filingFile = { ...this.filingFile, documentType: event.detail.value };
+    }
+    
+    handleCancelFiling() {
+        this.filingFile = undefined;
+    }
+    
+    get isFileAsDisabled() {
+        return this.isFiling || !this.filingFile || !this.filingFile.documentType;
+    }
+    
+    // Tags the document type and links the file to the Opportunity and the records
+    // relatedRecordFileManager syncs it with, so it shows up filed everywhere
+    async handleSaveFiling() {
+        const { id, versionId, name, documentType } = this.filingFile;
+        this.isFiling = true;
+        try {
+            await updateFileType({ versionId, fileType: documentType });
+            if (!this.syncTargetIds) {
+                const relatedRecords = await getRelatedRecords({ recordId: this.recordId, objectApiName: 'Opportunity' });
+                this.syncTargetIds = [this.recordId, ...relatedRecords.map(record => record.recordId)];
+            }
+            await syncFileToRecords({ contentDocumentIds: [id], targetRecordIds: this.syncTargetIds });
+            
+            const typeOption = this.fileTypeOptions.find(option => option.value === documentType);
+            this.showToast('Success', `${name} filed as ${typeOption ? typeOption.label : documentType}`, 'success');
+            this.filingFile = undefined;
+            await refreshApex(this.wiredAttachmentsResult);
+        } catch (error) {
+            this.showToast('Error', 'Error filing document: ' + this.reduceErrors(error), 'error');
+        } finally {
+            this.isFiling = false;
+        }
     }
     
     // Handle refresh button click
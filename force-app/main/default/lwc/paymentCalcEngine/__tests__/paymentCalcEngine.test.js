@@ -0,0 +1,150 @@
+import { calculatePaymentPlan, diffResults, assertConfig } from 'c/paymentCalcEngine';
+
+// Same fixtures PaymentCalcParityTest.cls runs through the Apex controller
+const parity = require('../../../staticresources/PaymentCalcParityFixtures.json');
+
+// Apex keeps sub-cent remainders on the unrounded settlement; allow one cent plus float noise
+const CENT = 0.01 + 1e-9;
+
+function programConfig(programType) {
+    return { ...parity.config, ...parity.programSplitRatios[programType] };
+}
+
+function runFixture(fixture, paramOverrides = {}, calendar = parity.bankingCalendar) {
+    return calculatePaymentPlan(
+        {
+            ...fixture.params,
+            totalDebt: fixture.totalDebt,
+            currentPayment: fixture.currentPayment,
+            ...paramOverrides
+        },
+        programConfig(fixture.params.programType),
+        calendar
+    );
+}
+
+describe('c-payment-calc-engine', () => {
+    describe('parity with Apex calculatePaymentPlan', () => {
+        it('has fixtures to run', () => {
+            expect(parity.fixtures.length).toBeGreaterThan(0);
+        });
+
+        it.each(parity.fixtures.map((f) => [f.name, f]))('%s', (name, fixture) => {
+            const result = runFixture(fixture);
+
+            expect(diffResults(result, fixture.expected)).toEqual([]);
+            expect(result.savingsPercentage).toBeCloseTo(fixture.expected.savingsPercentage, 1);
+            expect(result.programSplitRatio).toBe(fixture.expected.programSplitRatio);
+            expect(result.escrowSplitRatio).toBe(fixture.expected.escrowSplitRatio);
+            expect(result.firstDraftDate).toBe(fixture.expected.firstDraftDate);
+        });
+    });
+
+    describe('schedule invariants', () => {
+        it.each(parity.fixtures.map((f) => [f.name, f]))('%s allocates settlement and program fee', (name, fixture) => {
+            const result = runFixture(fixture);
+            const schedule = result.paymentSchedule;
+            const sum = (field) => schedule.reduce((total, item) => total + item[field], 0);
+
+            expect(schedule.length).toBe(result.numberOfWeeks);
+            expect(Math.abs(sum('escrowPayment') - result.settlementAmount)).toBeLessThanOrEqual(CENT);
+            expect(Math.abs(sum('programPayment') - result.programFee)).toBeLessThanOrEqual(CENT);
+            expect(schedule[schedule.length - 1].remainingBalance).toBeLessThanOrEqual(CENT);
+        });
+    });
+
+    describe('banking calendar', () => {
+        const fixture = parity.fixtures[0];
+        const rollPrevious = { ...parity.bankingCalendar, rollDirection: 'Previous' };
+
+        it('rolls a weekend first draft before deriving the cadence', () => {
+            const result = runFixture(fixture, { firstDraftDate: '2026-01-03' });
+            const [first, second] = result.paymentSchedule;
+
+            expect(result.firstDraftDate).toBe('2026-01-05');
+            expect(first).toMatchObject({
+                paymentDate: '2026-01-05',
+                originalPaymentDate: '2026-01-03',
+                dateAdjustmentReason: 'Saturday'
+            });
+            expect(second.paymentDate).toBe('2026-01-12');
+            expect(second.originalPaymentDate).toBeUndefined();
+        });
+
+        it('rolls holidays back when configured for the previous banking day', () => {
+            const result = runFixture(fixture, {}, rollPrevious);
+
+            expect(result.paymentSchedule[2]).toMatchObject({
+                paymentDate: '2026-01-16',
+                originalPaymentDate: '2026-01-19',
+                dateAdjustmentReason: 'Martin Luther King Jr. Day'
+            });
+            // The cadence stays on Mondays after the roll
+            expect(result.paymentSchedule[3].paymentDate).toBe('2026-01-26');
+        });
+
+        it('rolls forward instead of landing on the previous draft', () => {
+            const result = runFixture(fixture, { firstDraftDate: '2026-01-16' }, rollPrevious);
+
+            expect(result.paymentSchedule[0].paymentDate).toBe('2026-01-16');
+            expect(result.paymentSchedule[1].paymentDate).toBe('2026-01-20');
+        });
+
+        it('treats only weekends as non-banking days without a calendar', () => {
+            const result = runFixture(fixture, {}, null);
+
+            expect(result.paymentSchedule[2].paymentDate).toBe('2026-01-19');
+        });
+    });
+
+    describe('diffResults', () => {
+        it('reports amounts that drift by more than a cent', () => {
+            const fixture = parity.fixtures[0];
+            const drifted = {
+                ...fixture.expected,
+                weeklyPayment: fixture.expected.weeklyPayment + 0.02
+            };
+
+            expect(diffResults(drifted, fixture.expected)).toEqual([
+                expect.stringContaining('weeklyPayment')
+            ]);
+        });
+
+        it('reports schedule length mismatches', () => {
+            const fixture = parity.fixtures[0];
+            const shorter = {
+                ...fixture.expected,
+                paymentSchedule: fixture.expected.paymentSchedule.slice(1)
+            };
+
+            expect(diffResults(shorter, fixture.expected)).toEqual([
+                expect.stringContaining('paymentSchedule length')
+            ]);
+        });
+
+        it('reports a draft that was not moved off a holiday', () => {
+            const fixture = parity.fixtures[0];
+            const unadjusted = runFixture(fixture, {}, null);
+
+            expect(diffResults(unadjusted, fixture.expected)).toEqual(
+                expect.arrayContaining([
+                    expect.stringContaining('paymentSchedule[2].paymentDate'),
+                    expect.stringContaining('paymentSchedule[2].originalPaymentDate')
+                ])
+            );
+        });
+    });
+
+    describe('assertConfig', () => {
+        it('throws when config has not been loaded', () => {
+            expect(() => assertConfig(null)).toThrow('has not been loaded');
+        });
+
+        it('names the missing config values', () => {
+            const config = programConfig('DCG_MOD');
+            delete config.bankingFee;
+
+            expect(() => calculatePaymentPlan({ totalDebt: 1000 }, config)).toThrow('bankingFee');
+        });
+    });
+});
@@ -0,0 +1,564 @@
+/**
+ * Client-side payment calculation engine.
+ *
+ * Pure JavaScript mirror of PaymentCalculatorController.calculatePaymentPlan and the
+ * CalculationService maths behind it (settlement, program fee, split ratios, banking fee,
+ * setup fee installments and the front-loaded payment schedule). Lets the calculators
+ * preview results instantly while dragging sliders; Apex remains the source of truth and
+ * is called to confirm the numbers before anything is saved.
+ *
+ * The result has the same shape as PaymentCalculatorController.CalculationResult so the
+ * same display/convert code can consume either.
+ *
+ * Draft dates follow the same banking-day rule as BankingCalendarService (see c/bankingCalendar);
+ * without a calendar only weekends are treated as non-banking days.
+ *
+ * KEEP IN SYNC: any change to the Apex maths must be reflected here. The parity suite
+ * (__tests__/paymentCalcEngine.test.js and PaymentCalcParityTest.cls) runs the fixtures
+ * in staticresources/PaymentCalcParityFixtures.json against both implementations.
+ */
+import { adjustDraftDate, ROLL_NEXT, WEEKENDS_ONLY } from 'c/bankingCalendar';
+
+// Float noise guard for floor/ceil on values that are exact in Apex Decimal arithmetic
+const EPSILON = 1e-9;
+
+// Apex Decimals are exact; trim binary float noise to this many places after each step
+const DECIMAL_PLACES = 8;
+
+const DCG_DEBT = 'DCG_DEBT';
+
+/**
+ * Config keys the engine reads. Matches PaymentCalcConfigSvc.ConfigDTO as returned by
+ * getRequiredConfigForProgram (program-specific split ratios already applied).
+ */
+const REQUIRED_CONFIG_KEYS = [
+    'settlementPercent',
+    'programFeePercent',
+    'bankingFee',
+    'bank2Fee',
+    'programSplitRatio',
+    'escrowSplitRatio',
+    'setupFee',
+    'setupFeePayments',
+    'minWeeklyTargetPayment',
+    'minWeeklyTargetPaymentDcgDebt',
+    'minProgramWeeks',
+    'maxProgramWeeks',
+    'minTargetPercentDcgMod',
+    'minTargetPercentDcgDebt',
+    'targetPaymentPercentage',
+    'weeklyToMonthlyFactor',
+    'paymentFallbackRatio'
+];
+
+function dec(value) {
+    return Number(Number(value).toFixed(DECIMAL_PLACES));
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function num(value, fallback) {
+    return isBlank(value) || Number.isNaN(Number(value)) ? fallback : Number(value);
+}
+
+function floorSafe(value) {
+    return Math.floor(value + EPSILON);
+}
+
+function ceilSafe(value) {
+    return Math.ceil(value - EPSILON);
+}
+
+// Apex (x * 100).round(RoundingMode.HALF_UP) for non-negative amounts
+function toCents(value) {
+    const sign = value < 0 ? -1 : 1;
+    return sign * Math.round(Math.abs(value) * 100 + EPSILON);
+}
+
+function fromCents(cents) {
+    return dec(cents / 100);
+}
+
+/**
+ * Rounds a currency amount to 2 decimals using HALF_UP (Apex setScale(2, HALF_UP)).
+ * @param {Number} value
+ * @returns {Number}
+ */
+export function roundCurrency(value) {
+    return fromCents(toCents(num(value, 0)));
+}
+
+// ---------------------------------------------------------------------------------
+// Date helpers - work in UTC so YYYY-MM-DD strings never shift with the browser zone
+// ---------------------------------------------------------------------------------
+
+function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+function formatIsoDate(date) {
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function todayUtc() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+// CalculationService.getNextBusinessDay
+function nextBusinessDay() {
+    const today = todayUtc();
+    return today.getUTCDay() === 6 ? addDays(today, 2) : addDays(today, 1);
+}
+
+// CalculationService.getNextPreferredDay (0 = Sunday ... 6 = Saturday)
+function nextPreferredDay(fromDate, preferredDay) {
+    const nextDate = addDays(fromDate, 1);
+    let daysToAdd = preferredDay - nextDate.getUTCDay();
+    if (daysToAdd <= 0) {
+        daysToAdd += 7;
+    }
+    return addDays(nextDate, daysToAdd);
+}
+
+// PaymentCalculatorController.getNextMonday
+function nextMonday() {
+    const today = todayUtc();
+    const daysUntilMonday = ((8 - today.getUTCDay()) % 7) || 7;
+    return addDays(today, daysUntilMonday);
+}
+
+// ---------------------------------------------------------------------------------
+// Core maths
+// ---------------------------------------------------------------------------------
+
+// CalculationService.calculateEffectiveMinWeeklyPayment
+function effectiveMinWeeklyPayment(currentPayment, programType, config) {
+    const absoluteFloor = programType === DCG_DEBT
+        ? config.minWeeklyTargetPaymentDcgDebt
+        : config.minWeeklyTargetPayment;
+    let percentageFloor = 0;
+    if (currentPayment != null && currentPayment > 0) {
+        const minTargetPercent = programType === DCG_DEBT
+            ? config.minTargetPercentDcgDebt
+            : config.minTargetPercentDcgMod;
+        percentageFloor = dec(currentPayment * (minTargetPercent / 100));
+    }
+    return Math.max(absoluteFloor, percentageFloor);
+}
+
+function clampWeeks(weeks, config) {
+    return Math.max(config.minProgramWeeks, Math.min(config.maxProgramWeeks, weeks));
+}
+
+// CalculationService.calculateSetupFeeInstallments - extra cents go to the first payments
+function setupFeeInstallments(totalSetupFee, installmentCount) {
+    const installments = [];
+    if (!(totalSetupFee > 0) || !(installmentCount > 0)) {
+        return installments;
+    }
+    const totalCents = toCents(totalSetupFee);
+    const baseCents = Math.floor(totalCents / installmentCount);
+    const remainderCents = totalCents - baseCents * installmentCount;
+    for (let i = 0; i < installmentCount; i++) {
+        installments.push(fromCents(i < remainderCents ? baseCents + 1 : baseCents));
+    }
+    return installments;
+}
+
+// CalculationService.calculatePercentageBasedPlan
+function percentagePlan(plan, ctx, config) {
+    const debt = plan.totalDebt;
+    plan.settlementAmount = dec(debt * (ctx.settlementPercentage / 100));
+    plan.programFee = dec(debt * (ctx.programFeePercentage / 100));
+
+    const targetPercent = num(ctx.targetPaymentPercentage, config.targetPaymentPercentage);
+    let targetWeekly;
+    if (ctx.currentPayment > 0) {
+        targetWeekly = dec(ctx.currentPayment * (targetPercent / 100));
+    } else {
+        // Fallback: estimate from total debt using config ratio
+        targetWeekly = dec(debt * (config.paymentFallbackRatio / 100));
+    }
+    targetWeekly = Math.max(effectiveMinWeeklyPayment(ctx.currentPayment, ctx.programType, config), targetWeekly);
+
+    const availableForProgram = dec(targetWeekly - plan.bankingFee);
+    if (availableForProgram > 0) {
+        const baselineProgramFee = ctx.noFeeProgram
+            ? dec(debt * (ctx.baselineProgramFeePercentage / 100))
+            : plan.programFee;
+        plan.numberOfWeeks = ceilSafe((plan.settlementAmount + baselineProgramFee) / availableForProgram);
+    } else {
+        plan.numberOfWeeks = config.maxProgramWeeks;
+    }
+    plan.numberOfWeeks = clampWeeks(plan.numberOfWeeks, config);
+    plan.weeklyPayment = targetWeekly;
+}
+
+// CalculationService.calculateDesiredPaymentPlan
+function desiredPaymentPlan(plan, ctx, config) {
+    const debt = plan.totalDebt;
+    const desiredPayment = Math.max(
+        effectiveMinWeeklyPayment(ctx.currentPayment, ctx.programType, config),
+        ctx.desiredWeeklyPayment || 0
+    );
+
+    plan.programFee = dec(debt * (ctx.programFeePercentage / 100));
+
+    // Work backwards from desired payment (both banking fees come off the top here)
+    let netPerWeek = dec(desiredPayment - (plan.bankingFee + plan.bank2Fee));
+    if (netPerWeek < 0) netPerWeek = 0;
+
+    plan.settlementAmount = dec(debt * (ctx.settlementPercentage / 100));
+
+    const baselineProgramFee = ctx.noFeeProgram
+        ? dec(debt * (ctx.baselineProgramFeePercentage / 100))
+        : plan.programFee;
+
+    const totalProgramCost = plan.settlementAmount + baselineProgramFee;
+    const estimatedWeeks = netPerWeek > 0 ? totalProgramCost / netPerWeek : 0;
+    plan.numberOfWeeks = ceilSafe(clampWeeks(estimatedWeeks, config));
+    plan.weeklyPayment = desiredPayment;
+
+    // Apply max settlement cap
+    const maxSettlement = dec(debt * (ctx.maxSettlementPercentage / 100));
+    if (plan.settlementAmount > maxSettlement) {
+        plan.settlementAmount = maxSettlement;
+        if (netPerWeek > 0) {
+            plan.numberOfWeeks = clampWeeks(ceilSafe((maxSettlement + baselineProgramFee) / netPerWeek), config);
+        }
+    }
+}
+
+// CalculationService.applyNoFeeProgramAdjustments - fold the baseline fee into settlement
+function applyNoFeeAdjustments(plan, ctx) {
+    if (!ctx.noFeeProgram) {
+        return;
+    }
+    let programFeeToReallocate = plan.programFee;
+    if (!(programFeeToReallocate > 0)) {
+        programFeeToReallocate = dec(plan.totalDebt * (ctx.baselineProgramFeePercentage / 100));
+    }
+    if (programFeeToReallocate > 0) {
+        plan.settlementAmount = dec(plan.settlementAmount + programFeeToReallocate);
+    }
+    plan.programFee = 0;
+}
+
+// CalculationService.validateAndAdjustPlan
+function validateAndAdjust(plan, ctx, config) {
+    const minWeekly = effectiveMinWeeklyPayment(ctx.currentPayment, ctx.programType, config);
+    if (plan.weeklyPayment == null || plan.weeklyPayment < minWeekly) {
+        plan.weeklyPayment = minWeekly;
+    }
+    plan.numberOfWeeks = clampWeeks(plan.numberOfWeeks, config);
+}
+
+// CalculationService.generatePaymentSchedule
+function generateSchedule(plan, ctx, config) {
+    const requestedStart = isBlank(ctx.firstDraftDate) ? nextBusinessDay() : parseIsoDate(ctx.firstDraftDate);
+    // Rolled before the cadence is derived so a weekend start cannot collide with week 2
+    const startAdjustment = adjustDraftDate(formatIsoDate(requestedStart), ctx.calendar);
+    const startDate = parseIsoDate(startAdjustment.date);
+    const installments = setupFeeInstallments(plan.setupFee, plan.setupFeePayments);
+
+    const totalProgramCost = dec(plan.settlementAmount + plan.programFee);
+    const netWeeklyCapacity = dec(plan.weeklyPayment - plan.bankingFee);
+
+    // Weeks 1..N-1 are equal; last payment absorbs the rounding remainder
+    const netPayments = [];
+    if (netWeeklyCapacity > 0 && totalProgramCost > 0) {
+        let totalWeeks = Math.max(1, floorSafe(totalProgramCost / netWeeklyCapacity));
+        totalWeeks = clampWeeks(totalWeeks, config);
+
+        const totalCents = toCents(totalProgramCost);
+        const minNetCents = toCents(netWeeklyCapacity);
+        let baseCents = Math.ceil(totalCents / totalWeeks);
+
+        // If week constraints forced payments below minimum, reduce weeks
+        if (baseCents < minNetCents) {
+            totalWeeks = Math.max(1, floorSafe(totalProgramCost / netWeeklyCapacity));
+            baseCents = Math.ceil(totalCents / totalWeeks);
+        }
+        const lastCents = totalCents - baseCents * (totalWeeks - 1);
+
+        for (let i = 0; i < totalWeeks; i++) {
+            const cents = i < totalWeeks - 1 ? baseCents : lastCents;
+            if (cents > 0) {
+                netPayments.push(fromCents(cents));
+            }
+        }
+    }
+    plan.numberOfWeeks = netPayments.length;
+
+    // Program fee is collected first at the split ratio; the rest goes to escrow
+    let remainingProgramFees = plan.programFee;
+    let remainingSettlement = plan.settlementAmount;
+    let remainingSetupFee = roundCurrency(plan.setupFee || 0);
+    const schedule = [];
+    // Cadence runs on the unadjusted dates so a holiday roll never shifts later drafts
+    let scheduledDate = null;
+
+    netPayments.forEach((netAmount, idx) => {
+        const week = idx + 1;
+        let programPayment = 0;
+        let escrowPayment = netAmount;
+        if (remainingProgramFees > 0) {
+            programPayment = Math.min(dec(netAmount * plan.programSplitRatio), remainingProgramFees);
+            escrowPayment = dec(netAmount - programPayment);
+            remainingProgramFees = dec(remainingProgramFees - programPayment);
+        }
+
+        let adjustment;
+        if (week === 1) {
+            scheduledDate = startDate;
+            adjustment = startAdjustment;
+        } else {
+            scheduledDate = week === 2 && !isBlank(ctx.preferredDayOfWeek)
+                ? nextPreferredDay(startDate, Number(ctx.preferredDayOfWeek))
+                : addDays(scheduledDate, 7);
+            adjustment = adjustDraftDate(formatIsoDate(scheduledDate), ctx.calendar);
+            // Rolling back must never reach the previous draft; roll forward instead
+            if (adjustment.date <= schedule[idx - 1].paymentDate) {
+                adjustment = adjustDraftDate(adjustment.originalDate, ctx.calendar, ROLL_NEXT);
+            }
+        }
+
+        let paymentAmount = dec(netAmount + plan.bankingFee);
+        let setupFee = 0;
+        if (week <= installments.length && remainingSetupFee > 0) {
+            setupFee = installments[week - 1];
+            remainingSetupFee = Math.max(0, roundCurrency(remainingSetupFee - setupFee));
+            paymentAmount = dec(paymentAmount + setupFee);
+        }
+        if (ctx.additionalProductsWeeklyTotal > 0) {
+            paymentAmount = dec(paymentAmount + ctx.additionalProductsWeeklyTotal);
+        }
+
+        remainingSettlement = dec(remainingSettlement - escrowPayment);
+
+        const item = {
+            paymentNumber: week,
+            paymentDate: adjustment.date,
+            totalPayment: paymentAmount,
+            setupFee,
+            bankingFee: plan.bankingFee,
+            programPayment,
+            escrowPayment,
+            additionalProducts: ctx.additionalProductsWeeklyTotal,
+            remainingBalance: Math.max(0, remainingSettlement)
+        };
+        // Apex leaves these unset (so absent on the wire) for drafts that did not move
+        if (adjustment.isAdjusted) {
+            item.originalPaymentDate = adjustment.originalDate;
+            item.dateAdjustmentReason = adjustment.reason;
+        }
+        schedule.push(item);
+    });
+    return schedule;
+}
+
+/**
+ * Throws if the loaded CMDT config is missing a value the engine depends on.
+ * Mirrors the fail-fast behaviour of PaymentCalcConfigSvc: no defaults, no fallbacks.
+ * @param {Object} config ConfigDTO from getRequiredConfigForProgram
+ */
+export function assertConfig(config) {
+    if (!config) {
+        throw new Error('Payment calculation config has not been loaded');
+    }
+    const missing = REQUIRED_CONFIG_KEYS.filter(key => isBlank(config[key]));
+    if (missing.length > 0) {
+        throw new Error(`Payment calculation config is missing: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Calculates a payment plan locally.
+ *
+ * @param {Object} params Same arguments as PaymentCalculatorController.calculatePaymentPlan, plus the
+ *        Opportunity rollups the controller reads server-side:
+ *        { totalDebt, currentPayment, programType, paymentFrequency ('Weekly'|'Monthly'),
+ *          calculationMode ('percentage'|'desired_payment'), targetPaymentPercentage, targetPaymentAmount,
+ *          setupFee, setupFeeTerm, servicingFee, bank2Fee, firstDraftDate (YYYY-MM-DD),
+ *          preferredDayOfWeek, noFeeProgram, additionalProductsWeeklyTotal }
+ * @param {Object} config ConfigDTO from PaymentCalcConfigSvc.getRequiredConfigForProgram(programType)
+ * @param {Object} calendar CalendarDTO from BankingCalendarService.getBankingCalendar (optional)
+ * @returns {Object} Same shape as PaymentCalculatorController.CalculationResult
+ */
+export function calculatePaymentPlan(params, config, calendar) {
+    assertConfig(config);
+    const p = params || {};
+    // Apex string comparison is case-insensitive
+    const programType = String(p.programType || 'DCG_MOD').toUpperCase();
+    const isDebtProgram = programType === DCG_DEBT;
+    const totalDebt = num(p.totalDebt, 0) > 0 ? Number(p.totalDebt) : 0;
+    const currentPayment = num(p.currentPayment, 0);
+    const noFeeProgram = p.noFeeProgram === true;
+    const weeklyToMonthlyFactor = Number(config.weeklyToMonthlyFactor);
+
+    // Controller: clamp target percent to the program minimum
+    const minTargetPercent = isDebtProgram ? config.minTargetPercentDcgDebt : config.minTargetPercentDcgMod;
+    let targetPaymentPercentage = num(p.targetPaymentPercentage, null);
+    if (targetPaymentPercentage != null && targetPaymentPercentage < minTargetPercent) {
+        targetPaymentPercentage = minTargetPercent;
+    }
+
+    // Controller: normalize desired amount to weekly and apply the absolute floor
+    const weeklyFloor = isDebtProgram ? config.minWeeklyTargetPaymentDcgDebt : config.minWeeklyTargetPayment;
+    let normalizedWeeklyTarget = null;
+    if (!isBlank(p.targetPaymentAmount)) {
+        normalizedWeeklyTarget = Number(p.targetPaymentAmount);
+        if (p.paymentFrequency === 'Monthly') {
+            normalizedWeeklyTarget = dec(normalizedWeeklyTarget / weeklyToMonthlyFactor);
+        }
+        normalizedWeeklyTarget = Math.max(weeklyFloor, normalizedWeeklyTarget);
+    }
+
+    const ctx = {
+        programType,
+        currentPayment,
+        noFeeProgram,
+        targetPaymentPercentage,
+        settlementPercentage: Number(config.settlementPercent),
+        programFeePercentage: noFeeProgram ? 0 : Number(config.programFeePercent),
+        baselineProgramFeePercentage: Number(config.programFeePercent),
+        maxSettlementPercentage: Number(config.settlementPercent),
+        desiredWeeklyPayment: Math.max(weeklyFloor, normalizedWeeklyTarget ?? 0),
+        firstDraftDate: p.firstDraftDate,
+        calendar: calendar || WEEKENDS_ONLY,
+        preferredDayOfWeek: p.preferredDayOfWeek,
+        additionalProductsWeeklyTotal: num(p.additionalProductsWeeklyTotal, 0)
+    };
+
+    const plan = {
+        totalDebt,
+        settlementAmount: 0,
+        programFee: 0,
+        weeklyPayment: null,
+        numberOfWeeks: 0,
+        programSplitRatio: Number(config.programSplitRatio),
+        escrowSplitRatio: Number(config.escrowSplitRatio),
+        setupFee: num(p.setupFee, Number(config.setupFee)),
+        setupFeePayments: num(p.setupFeeTerm, Number(config.setupFeePayments)),
+        bankingFee: num(p.servicingFee, Number(config.bankingFee)),
+        bank2Fee: num(p.bank2Fee, Number(config.bank2Fee))
+    };
+
+    if (p.calculationMode === 'percentage') {
+        percentagePlan(plan, ctx, config);
+    } else if (p.calculationMode === 'desired_payment') {
+        desiredPaymentPlan(plan, ctx, config);
+    } else {
+        // Standard plan: straight percentages, weekly payment left to validation
+        plan.settlementAmount = dec(totalDebt * (ctx.settlementPercentage / 100));
+        plan.programFee = dec(totalDebt * (ctx.programFeePercentage / 100));
+    }
+
+    applyNoFeeAdjustments(plan, ctx);
+    validateAndAdjust(plan, ctx, config);
+    const schedule = generateSchedule(plan, ctx, config);
+
+    const bankingFeeTotal = dec(plan.bankingFee * plan.numberOfWeeks);
+    const totalProgram = dec(plan.settlementAmount + plan.programFee + plan.setupFee + bankingFeeTotal);
+    const totalSavings = dec(totalDebt - totalProgram);
+
+    return {
+        totalDebt,
+        currentPayment,
+        settlementAmount: plan.settlementAmount,
+        programFee: plan.programFee,
+        setupFeeTotal: plan.setupFee,
+        bankingFeeTotal,
+        totalProgram,
+        totalSavings,
+        numberOfWeeks: plan.numberOfWeeks,
+        weeklyPayment: plan.weeklyPayment,
+        monthlyPayment: dec(plan.weeklyPayment * weeklyToMonthlyFactor),
+        savingsPercentage: totalDebt > 0 ? dec((totalSavings / totalDebt) * 100) : 0,
+        firstDraftDate: adjustDraftDate(isBlank(p.firstDraftDate) ? formatIsoDate(nextMonday()) : p.firstDraftDate, ctx.calendar).date,
+        programSplitRatio: plan.programSplitRatio,
+        escrowSplitRatio: plan.escrowSplitRatio,
+        paymentSchedule: schedule
+    };
+}
+
+// Summary fields compared when confirming a local preview against Apex
+const COMPARED_FIELDS = [
+    'settlementAmount',
+    'programFee',
+    'setupFeeTotal',
+    'bankingFeeTotal',
+    'totalProgram',
+    'totalSavings',
+    'numberOfWeeks',
+    'weeklyPayment',
+    'monthlyPayment'
+];
+
+const COMPARED_SCHEDULE_FIELDS = [
+    'totalPayment',
+    'setupFee',
+    'bankingFee',
+    'programPayment',
+    'escrowPayment',
+    'additionalProducts',
+    'remainingBalance'
+];
+
+// Compared as strings; the adjustment fields are absent when a draft did not move
+const COMPARED_SCHEDULE_DATE_FIELDS = ['paymentDate', 'originalPaymentDate', 'dateAdjustmentReason'];
+
+/**
+ * Lists the differences between two CalculationResult-shaped objects.
+ * Used to confirm a local preview against Apex and by the parity tests.
+ *
+ * @param {Object} local Result from calculatePaymentPlan
+ * @param {Object} apex Result from the Apex controller (or a saved fixture)
+ * @param {Number} tolerance Allowed absolute difference for amounts (default one cent)
+ * @returns {Array<String>} Human-readable mismatch descriptions; empty when in parity
+ */
+export function diffResults(local, apex, tolerance = 0.01) {
+    const diffs = [];
+    const differs = (a, b) => Math.abs(num(a, 0) - num(b, 0)) > tolerance + EPSILON;
+
+    COMPARED_FIELDS.forEach(field => {
+        if (differs(local?.[field], apex?.[field])) {
+            diffs.push(`${field}: local ${local?.[field]} vs apex ${apex?.[field]}`);
+        }
+    });
+
+    const localSchedule = local?.paymentSchedule || [];
+    const apexSchedule = apex?.paymentSchedule || [];
+    if (localSchedule.length !== apexSchedule.length) {
+        diffs.push(`paymentSchedule length: local ${localSchedule.length} vs apex ${apexSchedule.length}`);
+        return diffs;
+    }
+    apexSchedule.forEach((apexItem, idx) => {
+        const localItem = localSchedule[idx];
+        COMPARED_SCHEDULE_DATE_FIELDS.forEach(field => {
+            if (String(localItem[field] ?? '') !== String(apexItem[field] ?? '')) {
+                diffs.push(`paymentSchedule[${idx}].${field}: local ${localItem[field]} vs apex ${apexItem[field]}`);
+            }
+        });
+        COMPARED_SCHEDULE_FIELDS.forEach(field => {
+            if (differs(localItem[field], apexItem[field])) {
+                diffs.push(`paymentSchedule[${idx}].${field}: local ${localItem[field]} vs apex ${apexItem[field]}`);
+            }
+        });
+    });
+    return diffs;
+}
@@ -11,7 +11,10 @@ import deactivateDraft from '@salesforce/apex/PaymentCalculatorController.deacti
 import getPaymentDraftItemHistory from '@salesforce/apex/PaymentCalculatorController.getPaymentDraftItemHistory';
 import getRequiredConfig from '@salesforce/apex/PaymentCalcConfigSvc.getRequiredConfig';
 import getRequiredConfigForProgram from '@salesforce/apex/PaymentCalcConfigSvc.getRequiredConfigForProgram';
+import generateProposal from '@salesforce/apex/PaymentProposalController.generateProposal';
 import { subscribe, onError } from 'lightning/empApi';
+import { calculatePaymentPlan as calculatePaymentPlanLocal, diffResults } from 'c/paymentCalcEngine';
+import { loadBankingCalendar, WEEKENDS_ONLY } from 'c/bankingCalendar';
 import LEAD_STATE_FIELD from '@salesforce/schema/Lead.State';
 import OPP_EST_CURRENT_PAYMENT_FIELD from '@salesforce/schema/Opportunity.Estimated_Current_Payment__c';
 import OPP_EST_TOTAL_DEBT_FIELD from '@salesforce/schema/Opportunity.Estimated_Total_Debt__c';
@@ -22,6 +25,11 @@ const OPP_FIELDS = [OPP_EST_CURRENT_PAYMENT_FIELD, OPP_EST_TOTAL_DEBT_FIELD, OPP
 
 const SYNC_STATUS = { IN_SYNC: 'In Sync', OUT_OF_SYNC: 'Out of Sync' };
 
+// Draft comparison limits (side-by-side panel)
+const MIN_COMPARE_DRAFTS = 2;
+const MAX_COMPARE_DRAFTS = 4;
+const SUPERSEDED_CONFIRM_MESSAGE = 'The payment plan changed while it was being confirmed. Please save again.';
+
 // No default constants - configuration MUST be loaded from CMDT or the calculator cannot function
 
 export default class PaymentCalculator extends LightningElement {
@@ -33,6 +41,14 @@ export default class PaymentCalculator extends LightningElement {
     opportunity;
     drafts = [];
     selectedDraftId = null;
+    // Drafts ticked for side-by-side comparison (datatable checkbox selection)
+    compareDraftIds = [];
+    comparedDrafts = [];
+    showComparison = false;
+    maxCompareDrafts = MAX_COMPARE_DRAFTS;
+    // What-if scenario sweep panel
+    showScenarioSweep = false;
+    isGeneratingProposal = false;
     channelName = '/event/OpportunityUpdate__e';
     subscription = null;
     /**
@@ -162,6 +178,10 @@ export default class PaymentCalculator extends LightningElement {
     showPaymentSchedule = false;
     // Sequence guard to ignore stale async results (Context7 pattern)
     _calcSeq = 0;
+    // Program-specific CMDT config used by the local calculation engine, keyed by program type
+    _programConfigs = {};
+    // Last locally previewed result; compared against Apex before save
+    _lastLocalResult = null;
 
     // Additional Products (UI-only; backend wiring TBD)
     // Stub catalog; replace with backend fetch (e.g., CMDT or Product2 family)
@@ -351,6 +371,10 @@ export default class PaymentCalculator extends LightningElement {
             } else {
                 this.isCaState = false;
             }
+            // Local preview reads debt totals from the record; refresh once they (re)load
+            if (this.hasBootstrapped) {
+                this.performCalculations();
+            }
         } else if (error) {
             console.error('[PaymentCalculator] Error loading record:', error);
         }
@@ -417,6 +441,13 @@ export default class PaymentCalculator extends LightningElement {
 
         // force Lightning datatable reactivity
         this.drafts = JSON.parse(JSON.stringify(processed));
+
+        // Drop comparison selections for drafts that no longer exist (deleted/deactivated)
+        const ids = new Set(this.drafts.map(d => d.Id));
+        this.compareDraftIds = this.compareDraftIds.filter(id => ids.has(id));
+        if (this.showComparison) {
+            this.refreshComparedDrafts();
+        }
     }
 
     async handleRefreshDrafts() {
@@ -529,136 +560,193 @@ export default class PaymentCalculator extends LightningElement {
         let seq;
         try {
             seq = ++this._calcSeq;
-            console.log('[PaymentCalculator] Calling Apex calculatePaymentPlan with programType:', this.programType, 'seq:', seq);
-            // Call the Apex controller to perform calculations
-            const result = await calculatePaymentPlan({
-                recordId: this.recordId,
-                programType: this.programType,
-                paymentFrequency: this.paymentFrequency === 'WEEKLY' ? 'Weekly' : 'Monthly',
-                calculationMode: this.calculateBy === 'PERCENT' ? 'percentage' : 'desired_payment',
-                targetPaymentPercentage: this.targetPaymentPercent,
-                targetPaymentAmount: this.targetPaymentAmount,
-                setupFee: this.setupFeeTotal,
-                setupFeeTerm: this.setupFeePayments,
-                servicingFee: this.bankingFee,
-                bank2Fee: this.bank2Fee,
-                firstDraftDate: this.firstDraftDate,
-                preferredDayOfWeek: this.preferredDayOfWeek ? parseInt(this.preferredDayOfWeek, 10) : null,
-                noFeeProgram: this.noFeeProgram,
-                additionalProductsWeeklyTotal: this.additionalProductsWeeklyTotal
-            });
-
-            console.log('[PaymentCalculator] Apex response received:', result ? 'SUCCESS' : 'NULL');
-
-            if (result) {
-                if (seq !== this._calcSeq) {
-                    console.debug('[PaymentCalculator] Stale result ignored. seq:', seq, 'current:', this._calcSeq);
-                    return;
-                }
-                console.log('[PaymentCalculator] Processing Apex result...');
-
-                // Explicitly filter out getter-only properties to prevent proxy trap errors
-                const filteredResult = { ...result };
-                delete filteredResult.programSplitPercentage;
-                delete filteredResult.escrowSplitPercentage;
-
-                // Update local state with calculation results from Apex (no fallbacks)
-                this.settlementPercent = filteredResult.settlementPercentage;
-                this.programFeePercent = filteredResult.programFeePercentage;
-                // Ensure UI currentPayment uses weekly value from Apex to avoid unit mismatch
-                if (typeof filteredResult.currentPayment !== 'undefined' && filteredResult.currentPayment !== null) {
-                    this.currentPayment = filteredResult.currentPayment;
-                }
-
-                // Update split ratios from Apex result (Apex determines these based on program type)
-                console.log('[PaymentCalculator] Split ratios from Apex - Program:', filteredResult.programSplitRatio, 'Escrow:', filteredResult.escrowSplitRatio);
-
-                // Trust Apex calculations - config is required, Apex must return these values
-                this.programSplitRatio = filteredResult.programSplitRatio;
-                this.escrowSplitRatio = filteredResult.escrowSplitRatio;
-                console.log('[PaymentCalculator] Updated split ratios from Apex:', this.programSplitPercentage + '%/' + this.escrowSplitPercentage + '%');
-
-                // California no-fee override
-                if (this.noFeeProgram) {
-                    this.programFeePercent = 0;
-                    this.programSplitRatio = 0;
-                    this.escrowSplitRatio = 1.0;
-                }
-
-                // Update calculations from Apex response
-                this.calculations = {
-                    weeklyPayment: filteredResult.weeklyPayment || 0,
-                    monthlyPayment: filteredResult.monthlyPayment || 0,
-                    programLength: filteredResult.numberOfWeeks || 0,
-                    settlementAmount: filteredResult.settlementAmount || 0,
-                    programFeeAmount: filteredResult.programFee || 0,
-                    totalProgramCost: filteredResult.totalProgram || 0,
-                    savingsAmount: filteredResult.totalSavings || 0,
-                    savingsPercent: filteredResult.savingsPercentage || 0,
-                    setupFeePerPayment: this.setupFeeTotal / this.setupFeePayments,
-                    bankingFeeTotal: filteredResult.bankingFeeTotal || 0
-                };
-
-                // Store payment schedule if returned and convert for display
-                if (filteredResult.paymentSchedule && filteredResult.paymentSchedule.length > 0) {
-                    console.log('[PaymentCalculator] Payment schedule received from Apex with', filteredResult.paymentSchedule.length, 'items');
-                    console.log('[PaymentCalculator] First payment item:', filteredResult.paymentSchedule[0]);
-                    console.log('[PaymentCalculator] Program split for first item:', filteredResult.paymentSchedule[0].programPayment);
-                    console.log('[PaymentCalculator] Escrow split for first item:', filteredResult.paymentSchedule[0].escrowPayment);
-
-                    // Create new array reference to trigger reactive update
-                    const convertedSchedule = this.convertScheduleForDisplay(filteredResult.paymentSchedule);
-                    console.log('[PaymentCalculator] Converted schedule first item:', convertedSchedule[0]);
-
-                    // Force new array reference
-                    this.paymentSchedule = [...convertedSchedule];
-                    this.showPaymentSchedule = true;
-
-                    console.log('[PaymentCalculator] showPaymentSchedule set to:', this.showPaymentSchedule);
-                    console.log('[PaymentCalculator] paymentSchedule updated with', this.paymentSchedule.length, 'items');
-                    console.log('[PaymentCalculator] Split ratios in UI - Program:', this.programSplitPercentage + '%', 'Escrow:', this.escrowSplitPercentage + '%');
-
-                    // Reactive binding will handle the update automatically
-                    console.log('[PaymentCalculator] Payment schedule updated - reactive binding will update the table');
-                } else {
-                    console.log('[PaymentCalculator] WARNING: No payment schedule received from Apex');
-                    this.paymentSchedule = [];
-                    this.showPaymentSchedule = false;
-                }
-
-                // Update target payment amount only in Percent mode; preserve user-entered value in Desired mode
-                if (this.calculateBy === 'PERCENT') {
-                    if (filteredResult.weeklyPayment != null) {
-                        const boundedWeekly = Math.max(this._minimumWeeklyTarget(), filteredResult.weeklyPayment);
-                        const displayAmount = this._toDisplay(boundedWeekly);
-                        this.targetPaymentAmount = displayAmount;
-                        this._syncPercentFromAmount(displayAmount);
-                    }
-                }
+            // Preview locally for instant feedback; Apex confirms before anything is saved
+            const [programConfig, bankingCalendar] = await Promise.all([
+                this.getProgramConfig(this.programType),
+                this.getBankingCalendar()
+            ]);
+            if (seq !== this._calcSeq) {
+                console.debug('[PaymentCalculator] Stale calculation ignored. seq:', seq, 'current:', this._calcSeq);
+                return;
             }
+            const result = calculatePaymentPlanLocal({
+                ...this.buildCalculationParams(),
+                totalDebt: this.totalDebt,
+                currentPayment: this.currentPayment
+            }, programConfig, bankingCalendar);
+            this._lastLocalResult = result;
+            this.applyCalculationResult(result);
         } catch (error) {
             // If a newer calculation started, ignore this error
             if (this._calcSeq && typeof seq !== 'undefined' && seq !== this._calcSeq) {
                 console.debug('[PaymentCalculator] Stale error ignored. seq:', seq, 'current:', this._calcSeq);
                 return;
             }
-            console.error('[PaymentCalculator] ERROR calculating payment plan:', error);
-            console.error('[PaymentCalculator] Error details:', error.body?.message || error.message);
+            this.handleCalculationError(error);
+        }
+    }
 
-            // Check if this is a config-related error - if so, mark config as failed
-            const errorMsg = error.body?.message || error.message || '';
-            if (errorMsg.includes('PaymentCalcConfigException') || errorMsg.includes('Configuration') || errorMsg.includes('CMDT')) {
-                this.configLoadError = `Configuration Error: ${errorMsg}. Please contact your administrator.`;
-                this.configLoaded = false;
+    /**
+     * Arguments for PaymentCalculatorController.calculatePaymentPlan, shared by the local preview
+     * and the Apex confirmation so both always see the same inputs.
+     */
+    buildCalculationParams() {
+        return {
+            recordId: this.recordId,
+            programType: this.programType,
+            paymentFrequency: this.paymentFrequency === 'WEEKLY' ? 'Weekly' : 'Monthly',
+            calculationMode: this.calculateBy === 'PERCENT' ? 'percentage' : 'desired_payment',
+            targetPaymentPercentage: this.targetPaymentPercent,
+            targetPaymentAmount: this.targetPaymentAmount,
+            setupFee: this.setupFeeTotal,
+            setupFeeTerm: this.setupFeePayments,
+            servicingFee: this.bankingFee,
+            bank2Fee: this.bank2Fee,
+            firstDraftDate: this.firstDraftDate,
+            preferredDayOfWeek: this.preferredDayOfWeek ? parseInt(this.preferredDayOfWeek, 10) : null,
+            noFeeProgram: this.noFeeProgram,
+            additionalProductsWeeklyTotal: this.additionalProductsWeeklyTotal
+        };
+    }
+
+    async getProgramConfig(programType) {
+        if (!this._programConfigs[programType]) {
+            this._programConfigs[programType] = await getRequiredConfigForProgram({ programType });
+        }
+        return this._programConfigs[programType];
+    }
+
+    // Falls back to weekends only; the Apex confirmation still applies bank holidays
+    async getBankingCalendar() {
+        try {
+            return await loadBankingCalendar();
+        } catch (error) {
+            console.error('[PaymentCalculator] Banking calendar failed to load:', error);
+            return WEEKENDS_ONLY;
+        }
+    }
+
+    /**
+     * Re-runs the current inputs through Apex, which stays the source of truth for saved drafts.
+     * The Apex result replaces the local preview; any drift between the two is logged and flagged.
+     * @returns {Boolean} true when the Apex result was applied and it is safe to save
+     */
+    async confirmCalculationsWithApex() {
+        const seq = ++this._calcSeq;
+        try {
+            const result = await calculatePaymentPlan(this.buildCalculationParams());
+            if (!result) {
+                this.showToast('Error', 'Failed to confirm payment plan: no result returned', 'error', false);
+                return false;
+            }
+            if (seq !== this._calcSeq) {
+                // A newer input change superseded this confirmation; do not save stale numbers
+                this.showToast('Warning', SUPERSEDED_CONFIRM_MESSAGE, 'warning', false);
+                return false;
             }
 
-            // Show error to user - NO fallback to local calculations
-            this.showToast('Error', 'Failed to calculate payment plan: ' + errorMsg, 'error', false);
+            const drift = this._lastLocalResult ? diffResults(this._lastLocalResult, result) : [];
+            if (drift.length > 0) {
+                console.warn('[PaymentCalculator] Local preview differed from Apex:', drift);
+                this.showToast('Warning', 'Payment plan was recalculated by the server before saving. Please review the updated schedule.', 'warning', false);
+            }
+            this._lastLocalResult = null;
+            this.applyCalculationResult(result);
+            return true;
+        } catch (error) {
+            if (seq === this._calcSeq) {
+                this.handleCalculationError(error);
+            } else {
+                this.showToast('Warning', SUPERSEDED_CONFIRM_MESSAGE, 'warning', false);
+            }
+            return false;
+        }
+    }
 
-            // Clear any stale schedule data
+    /**
+     * Applies a CalculationResult (local preview or Apex) to the calculator state and schedule.
+     */
+    applyCalculationResult(result) {
+        if (!result) {
+            return;
+        }
+        // Explicitly filter out getter-only properties to prevent proxy trap errors
+        const filteredResult = { ...result };
+        delete filteredResult.programSplitPercentage;
+        delete filteredResult.escrowSplitPercentage;
+
+        // Update local state with calculation results (no fallbacks)
+        this.settlementPercent = filteredResult.settlementPercentage;
+        this.programFeePercent = filteredResult.programFeePercentage;
+        // Ensure UI currentPayment uses the weekly value from the result to avoid unit mismatch
+        if (typeof filteredResult.currentPayment !== 'undefined' && filteredResult.currentPayment !== null) {
+            this.currentPayment = filteredResult.currentPayment;
+        }
+
+        // Split ratios come from the program config - required, so no fallbacks
+        this.programSplitRatio = filteredResult.programSplitRatio;
+        this.escrowSplitRatio = filteredResult.escrowSplitRatio;
+
+        // California no-fee override
+        if (this.noFeeProgram) {
+            this.programFeePercent = 0;
+            this.programSplitRatio = 0;
+            this.escrowSplitRatio = 1.0;
+        }
+
+        // Update calculations from the result
+        this.calculations = {
+            weeklyPayment: filteredResult.weeklyPayment || 0,
+            monthlyPayment: filteredResult.monthlyPayment || 0,
+            programLength: filteredResult.numberOfWeeks || 0,
+            settlementAmount: filteredResult.settlementAmount || 0,
+            programFeeAmount: filteredResult.programFee || 0,
+            totalProgramCost: filteredResult.totalProgram || 0,
+            savingsAmount: filteredResult.totalSavings || 0,
+            savingsPercent: filteredResult.savingsPercentage || 0,
+            setupFeePerPayment: this.setupFeeTotal / this.setupFeePayments,
+            bankingFeeTotal: filteredResult.bankingFeeTotal || 0
+        };
+
+        // Store payment schedule if returned and convert for display
+        if (filteredResult.paymentSchedule && filteredResult.paymentSchedule.length > 0) {
+            // Force a new array reference to trigger the reactive update
+            const convertedSchedule = this.convertScheduleForDisplay(filteredResult.paymentSchedule);
+            this.paymentSchedule = [...convertedSchedule];
+            this.showPaymentSchedule = true;
+        } else {
             this.paymentSchedule = [];
             this.showPaymentSchedule = false;
         }
+
+        // Update target payment amount only in Percent mode; preserve user-entered value in Desired mode
+        if (this.calculateBy === 'PERCENT') {
+            if (filteredResult.weeklyPayment != null) {
+                const boundedWeekly = Math.max(this._minimumWeeklyTarget(), filteredResult.weeklyPayment);
+                const displayAmount = this._toDisplay(boundedWeekly);
+                this.targetPaymentAmount = displayAmount;
+                this._syncPercentFromAmount(displayAmount);
+            }
+        }
+    }
+
+    handleCalculationError(error) {
+        console.error('[PaymentCalculator] ERROR calculating payment plan:', error);
+        console.error('[PaymentCalculator] Error details:', error.body?.message || error.message);
+
+        // Check if this is a config-related error - if so, mark config as failed
+        const errorMsg = error.body?.message || error.message || '';
+        if (errorMsg.includes('PaymentCalcConfigException') || errorMsg.includes('Configuration') || errorMsg.includes('CMDT')) {
+            this.configLoadError = `Configuration Error: ${errorMsg}. Please contact your administrator.`;
+            this.configLoaded = false;
+        }
+
+        // Show error to user
+        this.showToast('Error', 'Failed to calculate payment plan: ' + errorMsg, 'error', false);
+
+        // Clear any stale schedule data
+        this.paymentSchedule = [];
+        this.showPaymentSchedule = false;
     }
 
     // Event Handlers
@@ -724,6 +812,7 @@ export default class PaymentCalculator extends LightningElement {
         try {
             // Use getRequiredConfigForProgram which throws if config is unavailable
             const cfg = await getRequiredConfigForProgram({ programType });
+            this._programConfigs[programType] = cfg;
 
             // Apply program-specific config (no fallbacks - config is required)
             this.programSplitRatio = cfg.programSplitRatio;
@@ -1115,6 +1204,9 @@ export default class PaymentCalculator extends LightningElement {
 
         try {
             this.isLoading = true;
+            if (!(await this.confirmCalculationsWithApex())) {
+                return;
+            }
             const config = {
                 programType: this.programType,
                 paymentFrequency: this.paymentFrequency,
@@ -1207,6 +1299,9 @@ export default class PaymentCalculator extends LightningElement {
 
         try {
             this.isLoading = true;
+            if (!(await this.confirmCalculationsWithApex())) {
+                return;
+            }
             const config = {
                 programType: this.programType,
                 paymentFrequency: this.paymentFrequency,
@@ -1335,8 +1430,140 @@ export default class PaymentCalculator extends LightningElement {
         return this.isLoading || !this.selectedDraftId;
     }
 
-    get selectedDraftRows() {
-        return this.selectedDraftId ? [this.selectedDraftId] : [];
+    // Draft comparison
+    handleDraftSelection(event) {
+        const rows = event.detail.selectedRows || [];
+        const ticked = new Set(rows.map(r => r.Id));
+        // Preserve the order drafts were ticked in; the datatable reports rows in table order
+        const kept = this.compareDraftIds.filter(id => ticked.has(id));
+        const added = rows.map(r => r.Id).filter(id => !kept.includes(id));
+        this.compareDraftIds = [...kept, ...added];
+    }
+
+    handleCompareDrafts() {
+        if (this.isCompareDisabled) {
+            this.showToast('Info', `Select ${MIN_COMPARE_DRAFTS} to ${MAX_COMPARE_DRAFTS} drafts to compare`, 'info', false);
+            return;
+        }
+        this.refreshComparedDrafts();
+        this.showComparison = true;
+    }
+
+    handleCloseComparison() {
+        this.showComparison = false;
+        this.comparedDrafts = [];
+    }
+
+    // The first ticked draft is the comparison baseline
+    refreshComparedDrafts() {
+        const byId = new Map((this.drafts || []).map(d => [d.Id, d]));
+        const selected = this.compareDraftIds.map(id => byId.get(id)).filter(Boolean);
+        if (selected.length < MIN_COMPARE_DRAFTS) {
+            this.handleCloseComparison();
+            return;
+        }
+        this.comparedDrafts = selected;
+    }
+
+    get isCompareDisabled() {
+        const count = this.compareDraftIds.length;
+        return this.isLoading || count < MIN_COMPARE_DRAFTS || count > MAX_COMPARE_DRAFTS;
+    }
+
+    get compareSelectionLabel() {
+        const count = this.compareDraftIds.length;
+        return count > 0
+            ? `${count} of ${MAX_COMPARE_DRAFTS} selected`
+            : `Tick ${MIN_COMPARE_DRAFTS}-${MAX_COMPARE_DRAFTS} drafts to compare`;
+    }
+
+    // Client proposal PDF (attached to the Opportunity by PaymentProposalController)
+    get showGenerateProposal() {
+        return this.objectApiName === 'Opportunity';
+    }
+
+    get isProposalDisabled() {
+        return this.isLoading || this.isGeneratingProposal || !this.paymentSchedule || this.paymentSchedule.length === 0;
+    }
+
+    async handleGenerateProposal() {
+        if (!this.template.querySelector('c-summary-stats') || this.isProposalDisabled) {
+            return;
+        }
+        this.isGeneratingProposal = true;
+        try {
+            // The client sees these numbers, so they must be the server's, not the local preview
+            if (!(await this.confirmCalculationsWithApex())) {
+                this.showToast('Error', 'Proposal not generated: the payment plan could not be confirmed. Please try again.', 'error', false);
+                return;
+            }
+            // Let the summary re-render with the confirmed figures before reading them
+            await Promise.resolve();
+            const summaryStats = this.template.querySelector('c-summary-stats');
+            const result = await generateProposal({
+                opportunityId: this.recordId,
+                proposal: {
+                    ...summaryStats.getSummaryFigures(),
+                    programType: this.programType,
+                    paymentSchedule: this.paymentSchedule
+                }
+            });
+            this.showToast('Success', `${result.title} was attached to the Opportunity`, 'success');
+        } catch (error) {
+            const errorMessage = error?.body?.message || error?.message || 'Unknown error';
+            this.showToast('Error', 'Failed to generate proposal: ' + errorMessage, 'error', false);
+        } finally {
+            this.isGeneratingProposal = false;
+        }
+    }
+
+    // What-if scenario sweep
+    handleToggleScenarioSweep() {
+        this.showScenarioSweep = !this.showScenarioSweep;
+    }
+
+    handleCloseScenarioSweep() {
+        this.showScenarioSweep = false;
+    }
+
+    // Inputs for the sweep: the current calculator state, varied one axis at a time by c-scenario-sweep
+    get scenarioSweepParams() {
+        return {
+            ...this.buildCalculationParams(),
+            totalDebt: this.totalDebt,
+            currentPayment: this.currentPayment
+        };
+    }
+
+    get scenarioSweepConfig() {
+        return this._programConfigs[this.programType] || null;
+    }
+
+    get scenarioSweepLabel() {
+        return this.showScenarioSweep ? 'Hide What-if Scenarios' : 'What-if Scenarios';
+    }
+
+    handleScenarioApply(event) {
+        const { calculateBy, targetPaymentPercent, weeklyAmount } = event.detail || {};
+        if (calculateBy === 'PERCENT') {
+            this.calculateBy = 'PERCENT';
+            this._setTargetPaymentPercent(targetPaymentPercent);
+            this.targetPaymentAmount = this.computeTargetPaymentAmountLocal();
+        } else {
+            this.calculateBy = 'DESIRED';
+            this.targetPaymentAmount = Math.round(this._toDisplay(weeklyAmount) * 100) / 100;
+            this._syncPercentFromAmount(this.targetPaymentAmount);
+        }
+        this._enforcePaymentBounds();
+        if (this.recalcTimer) {
+            clearTimeout(this.recalcTimer);
+            this.recalcTimer = null;
+        }
+        this.performCalculations();
+        const applied = calculateBy === 'PERCENT'
+            ? `${targetPaymentPercent}% of current payment`
+            : `${this.formatCurrency(weeklyAmount)}/week`;
+        this.showToast('Success', `Scenario applied: ${applied}`, 'success', false);
     }
 
     showToast(title, message, variant, isSticky = false) {
@@ -15,6 +15,8 @@ import saveWireFee from '@salesforce/apex/PaymentPlanEditorController.saveWireFe
 import deleteWireFee from '@salesforce/apex/PaymentPlanEditorController.deleteWireFee';
 import updateWireFee from '@salesforce/apex/PaymentPlanEditorController.updateWireFee';
 import getStatusPicklistValues from '@salesforce/apex/PaymentPlanEditorController.getStatusPicklistValues';
+import getScheduleItemTimeline from '@salesforce/apex/PaymentPlanEditorController.getScheduleItemTimeline';
+import { loadBankingCalendar, adjustDraftDate, getNonBankingReason, describeAdjustment, WEEKENDS_ONLY } from 'c/bankingCalendar';
 
 // Default fallback if dynamic fetch fails
 const DEFAULT_STATUS_OPTIONS = [
@@ -30,6 +32,97 @@ const EDITABLE_STATUS = 'Scheduled';
 // Debounce delay in milliseconds
 const DEBOUNCE_DELAY = 300;
 
+// Undo/redo: snapshots kept per edit session (oldest are dropped first)
+const MAX_HISTORY = 100;
+
+// Grid columns in display order for clipboard copy/paste (savings is derived, so paste skips it)
+const CLIPBOARD_COLUMNS = [
+    'paymentDate',
+    'draftAmount',
+    'setupFee',
+    'programFee',
+    'bankingFee',
+    'savingsBalance',
+    'status'
+];
+const READ_ONLY_CLIPBOARD_COLUMNS = ['savingsBalance'];
+
+// Column names used in undo history labels
+const HISTORY_FIELD_LABELS = {
+    paymentDate: 'Payment Date',
+    draftAmount: 'Draft Amount',
+    setupFee: 'Setup Fee',
+    programFee: 'Program Fee',
+    bankingFee: 'Banking Fee',
+    status: 'Status'
+};
+
+// NACHA return codes reported in EPPS_NSF_Return_Code__c. Retryable returns can be redrafted
+// against the same account; the rest need new banking details from the client first.
+const NSF_RETURN_CODES = {
+    R01: { reason: 'Insufficient funds', retryable: true },
+    R02: { reason: 'Account closed', retryable: false },
+    R03: { reason: 'No account / unable to locate account', retryable: false },
+    R04: { reason: 'Invalid account number', retryable: false },
+    R05: { reason: 'Unauthorized debit to consumer account', retryable: false },
+    R06: { reason: 'Returned per ODFI request', retryable: true },
+    R07: { reason: 'Authorization revoked by customer', retryable: false },
+    R08: { reason: 'Payment stopped', retryable: false },
+    R09: { reason: 'Uncollected funds', retryable: true },
+    R10: { reason: 'Customer advises not authorized', retryable: false },
+    R16: { reason: 'Account frozen', retryable: false },
+    R20: { reason: 'Non-transaction account', retryable: false },
+    R29: { reason: 'Corporate customer advises not authorized', retryable: false }
+};
+
+// Ways a returned draft can be re-collected
+const NSF_RECOVERY_OPTIONS = [
+    { label: 'Redraft on a date', value: 'redraft' },
+    { label: 'Spread over the next drafts', value: 'spread' },
+    { label: 'Append to end of program', value: 'append' }
+];
+
+// Cadence used for "append" when the schedule is too short to infer one
+const DEFAULT_DRAFT_INTERVAL_DAYS = 7;
+
+// Bulk actions available for selected pending rows
+const BULK_ACTIONS = [
+    { label: 'Shift dates by days', value: 'shiftDays' },
+    { label: 'Move to next preferred weekday', value: 'weekday' },
+    { label: 'Set status', value: 'status' },
+    { label: 'Scale draft amount (%)', value: 'scale' },
+    { label: 'Set draft amount', value: 'fixedAmount' },
+    { label: 'Delete rows', value: 'delete' }
+];
+
+// Draft weekdays, numbered as PaymentPlan__c.Preferred_Day_of_Week__c (1 = Monday ... 5 = Friday)
+const WEEKDAY_OPTIONS = [
+    { label: 'Monday', value: '1' },
+    { label: 'Tuesday', value: '2' },
+    { label: 'Wednesday', value: '3' },
+    { label: 'Thursday', value: '4' },
+    { label: 'Friday', value: '5' }
+];
+
+// Icon per EPPS timeline event category (ScheduleItemTimelineWrapper events)
+const TIMELINE_CATEGORY_ICONS = {
+    Schedule: 'utility:event',
+    EFT: 'utility:send',
+    Settlement: 'utility:success',
+    Return: 'utility:error',
+    Fee: 'utility:moneybag',
+    'Fee Settlement': 'utility:change_record_type',
+    Integration: 'utility:sync'
+};
+
+const DATETIME_FORMATTER = new Intl.DateTimeFormat('en-US', {
+    month: '2-digit',
+    day: '2-digit',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
 const CURRENCY_FORMATTER = new Intl.NumberFormat('en-US', {
     style: 'currency',
     currency: 'USD',
@@ -54,8 +147,7 @@ export default class PaymentPlanEditor extends LightningElement {
     isEditMode = false;
     activeTab = 'Active';
     hasPendingChanges = false;
-    // Checkbox functionality removed - was not working
-    // @track selectedRowIds = new Set();
+    selectedRowIds = new Set();     // tempIds of pending rows checked for bulk actions (reassign to trigger render)
     showConfetti = false;
     @track confettiPieces = [];
     isMaximized = false;
@@ -66,6 +158,7 @@ export default class PaymentPlanEditor extends LightningElement {
     @track fillTargetRows = [];        // Array of row indices being filled
     fillPreviewValue = null;    // Preview value shown during drag
     selectedCellKey = null;     // Key for currently selected cell
+    selectionRange = null;      // { anchorRow, anchorCol, focusRow, focusCol } - display indexes for copy/paste
 
     // Wire Fee Modal state
     showWireModal = false;
@@ -83,6 +176,40 @@ export default class PaymentPlanEditor extends LightningElement {
     // Dynamic picklist values for Status field (array needs @track)
     @track statusPicklistOptions = DEFAULT_STATUS_OPTIONS;
 
+    // Undo/redo history for the current edit session
+    undoStack = [];             // [{ id, label, before }] - before = pendingItems snapshot prior to the change
+    redoStack = [];             // [{ id, label, after }]  - after = pendingItems snapshot to restore on redo
+    showHistory = false;
+    _historySeq = 0;
+    _pendingEdit = null;        // { key, itemId, field, label, before } - typed cell edit not yet committed to history
+
+    // EPPS timeline drill-in state
+    showTimelineModal = false;
+    timelineRowNumber = null;
+    timeline = null;
+    timelineError = null;
+    isTimelineLoading = false;
+    _timelineSeq = 0;
+
+    // NSF / returned draft recovery
+    showNsfPanel = false;
+    nsfSelectedKey = null;      // tempId of the returned draft being recovered
+    nsfOption = 'redraft';
+    nsfRedraftDate = null;
+    nsfSpreadCount = 4;
+
+    // Bulk row actions (applied to selectedRowIds)
+    bulkAction = 'shiftDays';
+    bulkShiftDays = 7;
+    bulkWeekday = null;         // defaults to the plan's Preferred_Day_of_Week__c
+    bulkStatus = EDITABLE_STATUS;
+    bulkPercent = null;
+    bulkAmount = null;
+    _lastSelectedKey = null;    // anchor for shift-click range selection
+
+    // Holidays and roll direction (BankingCalendarService); weekends only until loaded
+    bankingCalendar = WEEKENDS_ONLY;
+
     // Debounce timer reference
     _debounceTimer = null;
 
@@ -99,10 +226,20 @@ export default class PaymentPlanEditor extends LightningElement {
         // Load status picklist values and plans in parallel
         await Promise.all([
             this.loadStatusPicklistValues(),
+            this.loadBankingCalendar(),
             this.loadPlans()
         ]);
     }
 
+    async loadBankingCalendar() {
+        try {
+            this.bankingCalendar = await loadBankingCalendar();
+        } catch (error) {
+            // Weekends are still skipped; Apex scheduling applies holidays regardless
+            console.error('Error loading banking calendar:', error);
+        }
+    }
+
     /**
      * Load status picklist values dynamically from Salesforce schema
      */
@@ -186,8 +323,7 @@ export default class PaymentPlanEditor extends LightningElement {
                 // Process items with previous version comparison
                 this.scheduleItems = this.processItems(wrapper.scheduleItems || []);
                 this.originalItems = this.deepCloneItems(this.scheduleItems);
-                // Checkbox functionality removed
-                // this.selectedRowIds = new Set();
+                this.selectedRowIds = new Set();
 
                 // Load Wired Payments for this plan
                 await this.loadWireFees(planId);
@@ -417,6 +553,9 @@ export default class PaymentPlanEditor extends LightningElement {
 
             return {
                 ...item,
+                isSelected: this.selectedRowIds.has(item.tempId),
+                isRowLocked: item.status !== EDITABLE_STATUS,
+                ...this.getDateFlag(item),
                 wireFees: wireFees.map(fee => ({
                     ...fee,
                     feeTypeFormatted: fee.feeType,
@@ -549,22 +688,31 @@ export default class PaymentPlanEditor extends LightningElement {
         return this.paymentPlan?.Status__c?.toLowerCase() === 'suspended';
     }
 
-    // Checkbox functionality removed - was not working
-    // get allSelected() {
-    //     const items = this.displayItems;
-    //     if (!items || items.length === 0) return false;
-    //     return items.every(item => this.selectedRowIds.has(item.tempId));
-    // }
+    /**
+     * Header checkbox state - true when every selectable (Scheduled) row is checked
+     */
+    get allSelected() {
+        const selectable = this.selectableItems;
+        return selectable.length > 0 && selectable.every(item => this.selectedRowIds.has(item.tempId));
+    }
 
     // ============ AGGREGATE GETTERS (Footer Totals) ============
     // Uses rollup fields when viewing (faster), live calculation when editing (real-time updates)
 
+    /**
+     * Items the footer totals are computed from - the staged bulk action result while one is
+     * being previewed, otherwise the rows on the current tab
+     */
+    get totalsItems() {
+        return this.bulkPreviewItems || this.allSortedItems;
+    }
+
     // ----- TOTAL ROW -----
     get totalDraftAmount() {
         if (!this.isEditMode && this.paymentPlan?.Total_Draft_Amount__c != null) {
             return Number(this.paymentPlan.Total_Draft_Amount__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.draftAmount) || 0), 0);
     }
@@ -577,7 +725,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Total_Setup_Fee_Rollup__c != null) {
             return Number(this.paymentPlan.Total_Setup_Fee_Rollup__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.setupFee) || 0), 0);
     }
@@ -590,7 +738,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Total_Program_Fee_Rollup__c != null) {
             return Number(this.paymentPlan.Total_Program_Fee_Rollup__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.programFee) || 0), 0);
     }
@@ -603,7 +751,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Total_Banking_Fee_Rollup__c != null) {
             return Number(this.paymentPlan.Total_Banking_Fee_Rollup__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.bankingFee) || 0), 0);
     }
@@ -615,7 +763,7 @@ export default class PaymentPlanEditor extends LightningElement {
     get totalSavingsBalance() {
         // Always calculate from items using toEscrowAmount (per-payment escrow)
         // NOT from Total_Savings_Rollup__c which sums running balance (wrong)
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.toEscrowAmount) || Number(item.savingsBalance) || 0), 0);
     }
@@ -625,7 +773,7 @@ export default class PaymentPlanEditor extends LightningElement {
     }
 
     get totalWiresReceived() {
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items.reduce((sum, item) => sum + (Number(item.wiresReceived) || 0), 0);
     }
@@ -634,7 +782,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Schedule_Item_Count_Rollup__c != null) {
             return Number(this.paymentPlan.Schedule_Item_Count_Rollup__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         return items ? items.length : 0;
     }
 
@@ -643,7 +791,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Cleared_Payment_Sum__c != null) {
             return Number(this.paymentPlan.Cleared_Payment_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'Cleared')
@@ -658,7 +806,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Cleared_Setup_Fee_Sum__c != null) {
             return Number(this.paymentPlan.Cleared_Setup_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'Cleared')
@@ -673,7 +821,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Cleared_Program_Fee_Sum__c != null) {
             return Number(this.paymentPlan.Cleared_Program_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'Cleared')
@@ -688,7 +836,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.Cleared_Banking_Fee_Sum__c != null) {
             return Number(this.paymentPlan.Cleared_Banking_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'Cleared')
@@ -701,7 +849,7 @@ export default class PaymentPlanEditor extends LightningElement {
 
     get clearedSavingsBalance() {
         // Always calculate from items using toEscrowAmount (per-payment escrow)
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'Cleared')
@@ -717,7 +865,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.NSF_Draft_Amount_Sum__c != null) {
             return Number(this.paymentPlan.NSF_Draft_Amount_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'NSF')
@@ -732,7 +880,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.NSF_Setup_Fee_Sum__c != null) {
             return Number(this.paymentPlan.NSF_Setup_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'NSF')
@@ -747,7 +895,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.NSF_Program_Fee_Sum__c != null) {
             return Number(this.paymentPlan.NSF_Program_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'NSF')
@@ -762,7 +910,7 @@ export default class PaymentPlanEditor extends LightningElement {
         if (!this.isEditMode && this.paymentPlan?.NSF_Banking_Fee_Sum__c != null) {
             return Number(this.paymentPlan.NSF_Banking_Fee_Sum__c) || 0;
         }
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'NSF')
@@ -775,7 +923,7 @@ export default class PaymentPlanEditor extends LightningElement {
 
     get nsfSavingsBalance() {
         // Always calculate from items using toEscrowAmount (per-payment escrow)
-        const items = this.allSortedItems;
+        const items = this.totalsItems;
         if (!items || items.length === 0) return 0;
         return items
             .filter(item => item.status === 'NSF')
@@ -837,50 +985,36 @@ export default class PaymentPlanEditor extends LightningElement {
         this.currentPage = this.totalPages;
     }
 
-    // Checkbox functionality removed - was not working
-    // handleSelectAll(event) {
-    //     const isChecked = event.target.checked;
-    //     const items = this.displayItems;
-
-    //     if (isChecked) {
-    //         items.forEach(item => this.selectedRowIds.add(item.tempId));
-    //     } else {
-    //         this.selectedRowIds.clear();
-    //     }
-
-    //     // Trigger reactivity
-    //     this.selectedRowIds = new Set(this.selectedRowIds);
-    //     this.updateItemSelection();
-    // }
-
-    // handleRowSelect(event) {
-    //     const itemId = event.target.dataset.id;
-    //     const isChecked = event.target.checked;
-
-    //     if (isChecked) {
-    //         this.selectedRowIds.add(itemId);
-    //     } else {
-    //         this.selectedRowIds.delete(itemId);
-    //     }
+    handleSelectAll(event) {
+        this.selectedRowIds = event.target.checked
+            ? new Set(this.selectableItems.map(item => item.tempId))
+            : new Set();
+        this._lastSelectedKey = null;
+    }
 
-    //     // Trigger reactivity
-    //     this.selectedRowIds = new Set(this.selectedRowIds);
-    //     this.updateItemSelection();
-    // }
+    /**
+     * Toggle one row; shift-click extends the selection from the last toggled row
+     */
+    handleRowSelect(event) {
+        const itemId = event.target.dataset.id;
+        const isChecked = event.target.checked;
+        const selected = new Set(this.selectedRowIds);
+
+        let keys = [itemId];
+        if (event.shiftKey && this._lastSelectedKey) {
+            const ordered = this.allSortedItems.map(item => item.tempId);
+            const from = ordered.indexOf(this._lastSelectedKey);
+            const to = ordered.indexOf(itemId);
+            if (from !== -1 && to !== -1) {
+                const selectable = new Set(this.selectableItems.map(item => item.tempId));
+                keys = ordered.slice(Math.min(from, to), Math.max(from, to) + 1).filter(key => selectable.has(key));
+            }
+        }
 
-    // updateItemSelection() {
-    //     if (this.activeTab === 'Active') {
-    //         this.scheduleItems = this.scheduleItems.map(item => ({
-    //             ...item,
-    //             isSelected: this.selectedRowIds.has(item.tempId)
-    //         }));
-    //     } else {
-    //         this.pendingItems = this.pendingItems.map(item => ({
-    //             ...item,
-    //             isSelected: this.selectedRowIds.has(item.tempId)
-    //         }));
-    //     }
-    // }
+        keys.forEach(key => (isChecked ? selected.add(key) : selected.delete(key)));
+        this.selectedRowIds = selected;
+        this._lastSelectedKey = itemId;
+    }
 
     handleActionMenu(event) {
         const itemId = event.currentTarget.dataset.id;
@@ -926,6 +1060,12 @@ export default class PaymentPlanEditor extends LightningElement {
             event.target.value = value.toFixed(2);
         }
 
+        // Typed draft dates are moved onto a banking day once the edit is finished
+        if (field === 'paymentDate') {
+            this.commitPaymentDate(itemId, value);
+            return;
+        }
+
         // Update the item
         this.pendingItems = this.pendingItems.map(item => {
             if (item.id === itemId || item.tempId === itemId) {
@@ -954,6 +1094,30 @@ export default class PaymentPlanEditor extends LightningElement {
 
         // Process items to update all formatting
         this.pendingItems = this.processItems(this.pendingItems, true);
+
+        this.commitPendingEdit();
+    }
+
+    commitPaymentDate(itemId, value) {
+        let moved = null;
+        this.pendingItems = this.pendingItems.map(item => {
+            if (item.id !== itemId && item.tempId !== itemId) {
+                return item;
+            }
+            const updatedItem = this.withPaymentDate({ ...item, isModified: true }, value);
+            if (updatedItem.dateAdjustmentReason && updatedItem.originalPaymentDate === value) {
+                moved = updatedItem;
+            }
+            return updatedItem;
+        });
+        this.pendingItems = this.processItems(this.pendingItems, true);
+        this.commitPendingEdit();
+
+        if (moved) {
+            this.showToast('Date moved',
+                `${moved.dateAdjustmentReason} is not a banking day; draft moved to ${this.formatDate(moved.paymentDate)}`,
+                'info');
+        }
     }
 
     /**
@@ -966,6 +1130,7 @@ export default class PaymentPlanEditor extends LightningElement {
 
         // Handle status field change
         if (field === 'status') {
+            this.recordHistory(this.getCellEditLabel(itemId, field));
             this.pendingItems = this.pendingItems.map(item => {
                 if (item.id === itemId || item.tempId === itemId) {
                     return {
@@ -982,6 +1147,7 @@ export default class PaymentPlanEditor extends LightningElement {
 
         // Handle paymentDate field change
         if (field === 'paymentDate') {
+            this.beginCellEdit(itemId, field);
             this.pendingItems = this.pendingItems.map(item => {
                 if (item.id === itemId || item.tempId === itemId) {
                     return {
@@ -1002,6 +1168,8 @@ export default class PaymentPlanEditor extends LightningElement {
             field === 'programFee' || field === 'bankingFee';
 
         if (affectsSavings) {
+            this.beginCellEdit(itemId, field);
+
             // Parse the current input value (allow partial input like "10." or "10.5")
             const cleanValue = rawValue.replace(/[^0-9.-]/g, '');
             const numericValue = parseFloat(cleanValue) || 0;
@@ -1056,6 +1224,10 @@ export default class PaymentPlanEditor extends LightningElement {
 
     handleDeleteRow(event) {
         const itemId = event.currentTarget.dataset.id;
+        const target = this.pendingItems.find(item => item.id === itemId || item.tempId === itemId);
+        if (target) {
+            this.recordHistory(`Delete row ${target.rowNumber}`);
+        }
 
         this.pendingItems = this.pendingItems.map(item => {
             if (item.id === itemId || item.tempId === itemId) {
@@ -1075,9 +1247,11 @@ export default class PaymentPlanEditor extends LightningElement {
             Math.max(...this.pendingItems.filter(i => !i.isDeleted).map(i => i.rowNumber)) : 0;
 
         const newRowNumber = lastRowNumber + 1;
+        this.recordHistory(`Add row ${newRowNumber}`);
         const lastItem = this.pendingItems.filter(i => !i.isDeleted).pop();
-        const nextDate = lastItem && lastItem.paymentDate ?
-            this.addDays(lastItem.paymentDate, 7) : this.getTodayString();
+        // Step from the last row's cadence date, not the day a holiday rolled it to
+        const lastDate = lastItem && (lastItem.originalPaymentDate || lastItem.paymentDate);
+        const nextDate = lastDate ? this.addDays(lastDate, 7) : this.getTodayString();
 
         const defaultBankingFee = this.paymentPlan?.Banking_Fee__c || 15;
         const defaultStatus = 'Scheduled';
@@ -1130,11 +1304,16 @@ export default class PaymentPlanEditor extends LightningElement {
             isSelected: false
         };
 
-        this.pendingItems = [...this.pendingItems, newItem];
+        this.pendingItems = [...this.pendingItems, this.withPaymentDate(newItem, nextDate)];
         this.showToast('Success', 'New payment row added', 'success');
     }
 
     handleManualClick() {
+        this.startEditSession();
+        this.showToast('Info', 'Edit mode enabled. Make your changes and click Save to create a new version.', 'info');
+    }
+
+    startEditSession() {
         // Deep clone items and reset modification flags
         const clonedItems = this.deepCloneItems(this.scheduleItems).map(item => ({
             ...item,
@@ -1151,9 +1330,8 @@ export default class PaymentPlanEditor extends LightningElement {
         this.hasPendingChanges = true;
         this.isEditMode = true;
         this.activeTab = 'Pending';
-        // Checkbox functionality removed
-        // this.selectedRowIds = new Set();
-        this.showToast('Info', 'Edit mode enabled. Make your changes and click Save to create a new version.', 'info');
+        this.resetHistory();
+        this.selectedRowIds = new Set();
     }
 
     async handleSave() {
@@ -1221,8 +1399,7 @@ export default class PaymentPlanEditor extends LightningElement {
                 this.hasPendingChanges = false;
                 this.isEditMode = false;
                 this.activeTab = 'Active';
-                // Checkbox functionality removed
-                // this.selectedRowIds = new Set();
+                this.selectedRowIds = new Set();
 
                 // Refresh plans list and keep the new plan selected
                 await this.refreshPlans(newPlanId);
@@ -1237,12 +1414,12 @@ export default class PaymentPlanEditor extends LightningElement {
     }
 
     handleCancelEdit() {
+        this.resetHistory();
         this.pendingItems = [];
         this.hasPendingChanges = false;
         this.isEditMode = false;
         this.activeTab = 'Active';
-        // Checkbox functionality removed
-        // this.selectedRowIds = new Set();
+        this.selectedRowIds = new Set();
         this.showToast('Info', 'Edit cancelled. No changes were saved.', 'info');
     }
 
@@ -1265,8 +1442,7 @@ export default class PaymentPlanEditor extends LightningElement {
                 this.hasPendingChanges = false;
                 this.isEditMode = false;
                 this.activeTab = 'Active';
-                // Checkbox functionality removed
-                // this.selectedRowIds = new Set();
+                this.selectedRowIds = new Set();
 
                 // Refresh plans list and select the new plan
                 await this.refreshPlans(newPlanId);
@@ -1337,8 +1513,7 @@ export default class PaymentPlanEditor extends LightningElement {
                 this.hasPendingChanges = false;
                 this.isEditMode = false;
                 this.activeTab = 'Active';
-                // Checkbox functionality removed
-                // this.selectedRowIds = new Set();
+                this.selectedRowIds = new Set();
 
                 // Refresh plans list and select the new plan
                 await this.refreshPlans(newPlanId);
@@ -2024,6 +2199,735 @@ export default class PaymentPlanEditor extends LightningElement {
         return items.map(item => ({ ...item }));
     }
 
+    // ============ BULK ROW ACTIONS ============
+    // Rows are checked in the Pending tab; the chosen action is staged as a preview (footer
+    // totals follow it) and only written to pendingItems when Apply is clicked.
+
+    /**
+     * Pending rows that may be bulk-edited - same rule as inline editing (Scheduled only)
+     */
+    get selectableItems() {
+        if (!this.canEdit) {
+            return [];
+        }
+        return this.filteredPendingItems.filter(item => item.status === EDITABLE_STATUS);
+    }
+
+    get selectedItems() {
+        return this.filteredPendingItems.filter(item => this.selectedRowIds.has(item.tempId));
+    }
+
+    get selectedCount() {
+        return this.selectedItems.length;
+    }
+
+    get showBulkBar() {
+        return this.canEdit && this.selectedCount > 0;
+    }
+
+    get bulkSelectionLabel() {
+        const count = this.selectedCount;
+        return `${count} row${count === 1 ? '' : 's'} selected`;
+    }
+
+    get bulkActionOptions() {
+        return BULK_ACTIONS;
+    }
+
+    get weekdayOptions() {
+        return WEEKDAY_OPTIONS;
+    }
+
+    get bulkWeekdayValue() {
+        if (this.bulkWeekday) {
+            return this.bulkWeekday;
+        }
+        const preferred = Number(this.paymentPlan?.Preferred_Day_of_Week__c);
+        return preferred >= 1 && preferred <= 5 ? String(preferred) : '1';
+    }
+
+    get isBulkShiftDays() {
+        return this.bulkAction === 'shiftDays';
+    }
+
+    get isBulkWeekday() {
+        return this.bulkAction === 'weekday';
+    }
+
+    get isBulkStatus() {
+        return this.bulkAction === 'status';
+    }
+
+    get isBulkScale() {
+        return this.bulkAction === 'scale';
+    }
+
+    get isBulkFixedAmount() {
+        return this.bulkAction === 'fixedAmount';
+    }
+
+    get isBulkDelete() {
+        return this.bulkAction === 'delete';
+    }
+
+    get bulkResult() {
+        if (!this.showBulkBar) {
+            return null;
+        }
+        return this.buildBulkUpdate(this.pendingItems, this.selectedRowIds);
+    }
+
+    /**
+     * Non-deleted items as they would be after the staged action, or null when nothing valid is staged
+     */
+    get bulkPreviewItems() {
+        const result = this.bulkResult;
+        if (!result || result.error) {
+            return null;
+        }
+        return result.items.filter(item => !item.isDeleted);
+    }
+
+    get isBulkApplyDisabled() {
+        const result = this.bulkResult;
+        return !result || !!result.error;
+    }
+
+    get bulkPreviewMessage() {
+        const result = this.bulkResult;
+        if (!result) {
+            return '';
+        }
+        if (result.error) {
+            return result.error;
+        }
+        const before = this.filteredPendingItems.reduce((sum, item) => sum + (Number(item.draftAmount) || 0), 0);
+        const after = this.bulkPreviewItems.reduce((sum, item) => sum + (Number(item.draftAmount) || 0), 0);
+        return `Preview: ${result.label}. Draft total ${this.formatCurrency(before)} \u2192 ${this.formatCurrency(after)} (footer totals show the preview).`;
+    }
+
+    get bulkPreviewClass() {
+        const result = this.bulkResult;
+        return result && result.error ? 'bulk-preview bulk-preview-error' : 'bulk-preview';
+    }
+
+    /**
+     * Apply the current bulk action to the selected rows of a pending item list
+     * @param {Array} items - pendingItems (including rows already marked deleted)
+     * @param {Set} selectedKeys - tempIds of the selected rows
+     * @returns {Object} { items, label } or { error }
+     */
+    buildBulkUpdate(items, selectedKeys) {
+        const targets = items.filter(item => selectedKeys.has(item.tempId) && !item.isDeleted);
+        const count = targets.length;
+        if (count === 0) {
+            return { error: 'Select at least one row.' };
+        }
+        const rows = `${count} row${count === 1 ? '' : 's'}`;
+
+        let update;
+        let label;
+        switch (this.bulkAction) {
+            case 'shiftDays': {
+                const days = Number(this.bulkShiftDays);
+                if (!Number.isInteger(days) || days === 0) {
+                    return { error: 'Enter a whole number of days other than 0 (negative moves drafts earlier).' };
+                }
+                update = item => {
+                    const cadenceDate = item.originalPaymentDate || item.paymentDate;
+                    return this.withPaymentDate(item, cadenceDate && this.addDays(cadenceDate, days));
+                };
+                label = `Shift ${rows} by ${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`;
+                break;
+            }
+            case 'weekday': {
+                const weekday = Number(this.bulkWeekdayValue);
+                const dayName = WEEKDAY_OPTIONS.find(opt => opt.value === String(weekday)).label;
+                update = item => this.withPaymentDate(item, item.paymentDate && this.nextWeekday(item.paymentDate, weekday));
+                label = `Move ${rows} to the next ${dayName}`;
+                break;
+            }
+            case 'status': {
+                if (!this.bulkStatus) {
+                    return { error: 'Choose a status.' };
+                }
+                update = item => ({ ...item, status: this.bulkStatus });
+                label = `Set ${rows} to ${this.bulkStatus}`;
+                break;
+            }
+            case 'scale': {
+                const percent = Number(this.bulkPercent);
+                if (this.bulkPercent === null || this.bulkPercent === '' || isNaN(percent) || percent === 0) {
+                    return { error: 'Enter a percentage other than 0 (e.g. 10 or -5).' };
+                }
+                if (percent <= -100) {
+                    return { error: 'A reduction of 100% or more would leave no draft amount.' };
+                }
+                update = item => this.withDraftAmount(item, (Number(item.draftAmount) || 0) * (1 + percent / 100));
+                label = `Scale ${rows} by ${percent > 0 ? '+' : ''}${percent}%`;
+                break;
+            }
+            case 'fixedAmount': {
+                const amount = Number(this.bulkAmount);
+                if (this.bulkAmount === null || this.bulkAmount === '' || isNaN(amount) || amount < 0) {
+                    return { error: 'Enter a draft amount of 0 or more.' };
+                }
+                update = item => this.withDraftAmount(item, amount);
+                label = `Set ${rows} to ${this.formatCurrency(amount)}`;
+                break;
+            }
+            case 'delete':
+                update = item => (item.isNew && !item.id ? null : { ...item, isDeleted: true });
+                label = `Delete ${rows}`;
+                break;
+            default:
+                return { error: 'Choose an action.' };
+        }
+
+        const targetKeys = new Set(targets.map(item => item.tempId));
+        const updated = items
+            .map(item => (targetKeys.has(item.tempId) ? update({ ...item, isModified: true }) : item))
+            .filter(item => item !== null);
+
+        return { items: updated, label };
+    }
+
+    /**
+     * Set a row's draft date, rolled onto a banking day. The requested date and the reason are
+     * kept on the row (originalPaymentDate / dateAdjustmentReason) so the grid can flag the move.
+     */
+    withPaymentDate(item, paymentDate) {
+        if (!paymentDate) {
+            return item;
+        }
+        const adjustment = adjustDraftDate(paymentDate, this.bankingCalendar);
+        return {
+            ...item,
+            paymentDate: adjustment.date,
+            paymentDateFormatted: adjustment.date,
+            paymentDateDisplay: this.formatDate(adjustment.date),
+            originalPaymentDate: adjustment.isAdjusted ? adjustment.originalDate : null,
+            dateAdjustmentReason: adjustment.reason
+        };
+    }
+
+    /**
+     * Date cell flag: rows moved off a non-banking day say where from and why; editable rows
+     * still sitting on one (e.g. saved before the calendar applied) get a warning
+     */
+    getDateFlag(item) {
+        if (item.dateAdjustmentReason && item.originalPaymentDate) {
+            return {
+                hasDateFlag: true,
+                dateFlagIcon: 'utility:date_time',
+                dateFlagClass: 'date-flag date-flag-adjusted',
+                dateFlagText: describeAdjustment(item.originalPaymentDate, item.dateAdjustmentReason)
+            };
+        }
+        const reason = item.status === EDITABLE_STATUS && !item.isDeleted
+            ? getNonBankingReason(item.paymentDate, this.bankingCalendar)
+            : null;
+        if (reason) {
+            return {
+                hasDateFlag: true,
+                dateFlagIcon: 'utility:warning',
+                dateFlagClass: 'date-flag date-flag-warning',
+                dateFlagText: `${reason} is not a banking day; this draft will not process on this date`
+            };
+        }
+        return { hasDateFlag: false };
+    }
+
+    /**
+     * Set the draft amount and recalculate savings (Draft - Banking - Program - Setup),
+     * matching inline edits in handleFieldChange
+     */
+    withDraftAmount(item, amount) {
+        const draftAmount = Math.round(amount * 100) / 100;
+        const savings = draftAmount - (Number(item.bankingFee) || 0) - (Number(item.programFee) || 0) - (Number(item.setupFee) || 0);
+        const roundedSavings = Math.round(savings * 100) / 100;
+        return {
+            ...item,
+            draftAmount,
+            draftAmountEdit: this.safeToFixed(draftAmount),
+            savingsBalance: roundedSavings,
+            toEscrowAmount: roundedSavings
+        };
+    }
+
+    /**
+     * First date on or after dateString that falls on weekday (1 = Monday ... 5 = Friday)
+     */
+    nextWeekday(dateString, weekday) {
+        const current = new Date(dateString + 'T00:00:00').getDay();
+        return this.addDays(dateString, (weekday - current + 7) % 7);
+    }
+
+    handleBulkActionChange(event) {
+        this.bulkAction = event.detail.value;
+    }
+
+    handleBulkShiftDaysChange(event) {
+        this.bulkShiftDays = event.detail.value;
+    }
+
+    handleBulkWeekdayChange(event) {
+        this.bulkWeekday = event.detail.value;
+    }
+
+    handleBulkStatusChange(event) {
+        this.bulkStatus = event.detail.value;
+    }
+
+    handleBulkPercentChange(event) {
+        this.bulkPercent = event.detail.value;
+    }
+
+    handleBulkAmountChange(event) {
+        this.bulkAmount = event.detail.value;
+    }
+
+    handleClearSelection() {
+        this.selectedRowIds = new Set();
+        this._lastSelectedKey = null;
+    }
+
+    handleApplyBulkAction() {
+        const result = this.buildBulkUpdate(this.pendingItems, this.selectedRowIds);
+        if (result.error) {
+            this.showToast('Error', result.error, 'error');
+            return;
+        }
+
+        this.recordHistory(result.label);
+        this.pendingItems = this.processItems(result.items, true);
+
+        // Deleted rows and rows moved off Scheduled can no longer be bulk-edited
+        const selectable = new Set(this.selectableItems.map(item => item.tempId));
+        this.selectedRowIds = new Set([...this.selectedRowIds].filter(key => selectable.has(key)));
+        this.showToast('Success', `${result.label}. Click Save as New Version to keep the changes.`, 'success');
+    }
+
+    // ============ EPPS TIMELINE ============
+
+    /**
+     * Open the EPPS history for a saved schedule item
+     */
+    async handleOpenTimeline(event) {
+        const scheduleItemId = event.currentTarget.dataset.id;
+        if (!scheduleItemId) {
+            this.showToast('Error', 'This row has not been saved yet, so it has no EPPS history.', 'error');
+            return;
+        }
+
+        const seq = ++this._timelineSeq;
+        this.timelineRowNumber = event.currentTarget.dataset.rowNumber;
+        this.timeline = null;
+        this.timelineError = null;
+        this.isTimelineLoading = true;
+        this.showTimelineModal = true;
+
+        try {
+            const result = await getScheduleItemTimeline({ scheduleItemId });
+            if (seq !== this._timelineSeq) return;
+            this.timeline = result;
+        } catch (error) {
+            if (seq !== this._timelineSeq) return;
+            this.timelineError = this.reduceErrors(error);
+        } finally {
+            if (seq === this._timelineSeq) {
+                this.isTimelineLoading = false;
+            }
+        }
+    }
+
+    handleCloseTimeline() {
+        this._timelineSeq++;
+        this.showTimelineModal = false;
+        this.timeline = null;
+        this.timelineError = null;
+        this.isTimelineLoading = false;
+    }
+
+    get timelineSubtitle() {
+        if (!this.timeline) {
+            return `Payment Schedule Item #${this.timelineRowNumber || ''}`;
+        }
+        const parts = [
+            `#${this.timeline.rowNumber || this.timelineRowNumber}`,
+            this.formatDate(this.timeline.paymentDate),
+            this.formatCurrency(Number(this.timeline.draftAmount) || 0),
+            this.timeline.status
+        ];
+        return parts.filter(part => part).join(' · ');
+    }
+
+    get timelineFacts() {
+        if (!this.timeline) {
+            return [];
+        }
+        const returnCode = this.normalizeReturnCode(this.timeline.nsfReturnCode);
+        return [
+            { key: 'eft', label: 'EFT Transaction', value: this.timeline.eftTransactionId || 'Not created' },
+            { key: 'nsf', label: 'Return Code', value: returnCode ? this.describeReturnCode(returnCode) : 'None' },
+            {
+                key: 'sync',
+                label: 'Last EPPS Sync',
+                value: this.timeline.lastEppsIntegration ? this.formatDateTime(this.timeline.lastEppsIntegration) : 'Never'
+            }
+        ];
+    }
+
+    get timelineEvents() {
+        if (!this.timeline || !this.timeline.events) {
+            return [];
+        }
+        return this.timeline.events.map((evt, index) => {
+            const isReturn = evt.category === 'Return';
+            const code = isReturn ? this.normalizeReturnCode(evt.statusCode) : evt.statusCode;
+            return {
+                ...evt,
+                key: `${index}-${evt.recordId || evt.category}`,
+                dateDisplay: evt.eventDate ? this.formatDateTime(evt.eventDate) : 'Date not recorded',
+                iconName: TIMELINE_CATEGORY_ICONS[evt.category] || 'utility:record',
+                itemClass: `timeline-event timeline-event-${evt.category.toLowerCase().replace(/\s+/g, '-')}`,
+                hasAmount: evt.amount != null,
+                amountFormatted: this.formatCurrency(Number(evt.amount) || 0),
+                statusLabel: code ? (isReturn ? this.describeReturnCode(code) : code) : null
+            };
+        });
+    }
+
+    get hasTimelineEvents() {
+        return this.timelineEvents.length > 0;
+    }
+
+    describeReturnCode(code) {
+        const decoded = NSF_RETURN_CODES[code];
+        return decoded ? `${code} · ${decoded.reason}` : code;
+    }
+
+    formatDateTime(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : DATETIME_FORMATTER.format(date);
+    }
+
+    // ============ NSF / RETURN RECOVERY ============
+
+    /**
+     * Items the NSF workflow works against: the pending edit when editing, otherwise the saved schedule
+     */
+    get nsfBaseItems() {
+        const items = this.isEditMode ? this.pendingItems : this.scheduleItems;
+        return (items || []).filter(item => !item.isDeleted);
+    }
+
+    get returnedDrafts() {
+        const recoveredFor = new Set(this.nsfBaseItems.map(item => item.nsfRecoveryFor).filter(key => key));
+        return this.nsfBaseItems
+            .filter(item => item.status === 'NSF' || item.eppsNsfReturnCode || item.eppsReturnedDate)
+            .map(item => {
+                const code = this.normalizeReturnCode(item.eppsNsfReturnCode);
+                const decoded = NSF_RETURN_CODES[code];
+                const isSelected = this.nsfSelectedKey === item.tempId;
+                const isRecovered = recoveredFor.has(item.tempId);
+                return {
+                    key: item.tempId,
+                    rowNumber: item.rowNumber,
+                    paymentDateDisplay: this.formatDate(item.paymentDate),
+                    returnedDateDisplay: item.eppsReturnedDate ? this.formatDate(String(item.eppsReturnedDate).substring(0, 10)) : '',
+                    draftAmountFormatted: this.formatCurrency(Number(item.draftAmount) || 0),
+                    returnCode: code || 'No code',
+                    reason: decoded ? decoded.reason : (code ? 'Unrecognized return code' : 'Returned without a return code'),
+                    needsNewBanking: decoded ? !decoded.retryable : false,
+                    isRecovered,
+                    rowClass: isSelected ? 'nsf-draft nsf-draft-selected' : 'nsf-draft',
+                    actionLabel: isSelected ? 'Selected' : (isRecovered ? 'Recover again' : 'Recover')
+                };
+            });
+    }
+
+    get hasReturnedDrafts() {
+        return this.returnedDrafts.length > 0;
+    }
+
+    get returnedDraftsLabel() {
+        const count = this.returnedDrafts.length;
+        return `${count} returned draft${count === 1 ? '' : 's'}`;
+    }
+
+    get nsfPanelToggleLabel() {
+        return this.showNsfPanel ? 'Hide' : 'Review';
+    }
+
+    get nsfRecoveryOptions() {
+        return NSF_RECOVERY_OPTIONS;
+    }
+
+    get hasNsfSelection() {
+        return !!this.nsfSelectedItem;
+    }
+
+    get nsfSelectedItem() {
+        return this.nsfBaseItems.find(item => item.tempId === this.nsfSelectedKey) || null;
+    }
+
+    get isNsfRedraft() {
+        return this.nsfOption === 'redraft';
+    }
+
+    get isNsfSpread() {
+        return this.nsfOption === 'spread';
+    }
+
+    get nsfMinRedraftDate() {
+        return this.getTodayString();
+    }
+
+    get nsfSpreadMax() {
+        const returned = this.nsfSelectedItem;
+        return returned ? this.getNsfSpreadTargets(this.nsfBaseItems, returned).length : 0;
+    }
+
+    /**
+     * Preview of the selected recovery option: rows that change plus before/after totals
+     * for the remaining (Scheduled) part of the plan
+     */
+    get nsfPreview() {
+        const returned = this.nsfSelectedItem;
+        if (!returned) {
+            return null;
+        }
+
+        const result = this.buildNsfRecovery(this.nsfBaseItems, returned);
+        if (result.error) {
+            return { hasError: true, error: result.error };
+        }
+
+        const before = this.summarizeRemaining(this.nsfBaseItems);
+        const after = this.summarizeRemaining(result.items);
+        const beforeById = new Map(this.nsfBaseItems.map(item => [item.tempId, item]));
+
+        return {
+            hasError: false,
+            changes: result.changedKeys.map(key => {
+                const item = result.items.find(i => i.tempId === key);
+                const previous = beforeById.get(key);
+                return {
+                    key,
+                    isNew: !previous,
+                    dateDisplay: this.formatDate(item.paymentDate),
+                    beforeFormatted: previous ? this.formatCurrency(Number(previous.draftAmount) || 0) : '—',
+                    afterFormatted: this.formatCurrency(Number(item.draftAmount) || 0)
+                };
+            }),
+            remainingDraftsBefore: before.count,
+            remainingDraftsAfter: after.count,
+            remainingTotalBefore: this.formatCurrency(before.total),
+            remainingTotalAfter: this.formatCurrency(after.total),
+            endDateBefore: this.formatDate(before.endDate),
+            endDateAfter: this.formatDate(after.endDate)
+        };
+    }
+
+    normalizeReturnCode(code) {
+        if (!code) {
+            return null;
+        }
+        const trimmed = String(code).trim().toUpperCase();
+        return /^\d{1,2}$/.test(trimmed) ? `R${trimmed.padStart(2, '0')}` : trimmed;
+    }
+
+    summarizeRemaining(items) {
+        const remaining = items.filter(item => !item.isDeleted && item.status === EDITABLE_STATUS);
+        return {
+            count: remaining.length,
+            total: remaining.reduce((sum, item) => sum + (Number(item.draftAmount) || 0), 0),
+            endDate: items
+                .filter(item => !item.isDeleted && item.paymentDate)
+                .map(item => item.paymentDate)
+                .sort()
+                .pop() || null
+        };
+    }
+
+    /**
+     * Scheduled drafts after the return (and not in the past) that can absorb a spread
+     */
+    getNsfSpreadTargets(items, returned) {
+        const today = this.getTodayString();
+        const after = returned.paymentDate > today ? returned.paymentDate : today;
+        return items
+            .filter(item => item.status === EDITABLE_STATUS && item.paymentDate && item.paymentDate >= after)
+            .sort((a, b) => (a.paymentDate < b.paymentDate ? -1 : a.paymentDate > b.paymentDate ? 1 : 0));
+    }
+
+    /**
+     * Split an amount into n cent-rounded shares; the last share absorbs the rounding remainder
+     */
+    splitAmount(total, n) {
+        const cents = Math.round((Number(total) || 0) * 100);
+        const share = Math.floor(cents / n);
+        return Array.from({ length: n }, (_, i) => (i === n - 1 ? cents - share * (n - 1) : share) / 100);
+    }
+
+    /**
+     * Apply the selected recovery option to a copy of the schedule.
+     * Redraft/append add a new transaction, so the returned draft is re-collected in full
+     * (including its banking fee). Spreading adds no transactions, so only the setup, program
+     * and savings portions are re-collected.
+     * @returns {Object} { items, changedKeys } or { error }
+     */
+    buildNsfRecovery(baseItems, returned) {
+        const items = this.deepCloneItems(baseItems);
+        const setupFee = Number(returned.setupFee) || 0;
+        const programFee = Number(returned.programFee) || 0;
+        const bankingFee = Number(returned.bankingFee) || 0;
+        const savings = Number(returned.savingsBalance) || 0;
+
+        if (this.nsfOption === 'spread') {
+            const count = parseInt(this.nsfSpreadCount, 10);
+            const targets = this.getNsfSpreadTargets(items, returned);
+            if (!count || count < 1) {
+                return { error: 'Enter how many drafts to spread the returned amount over.' };
+            }
+            if (count > targets.length) {
+                return { error: `Only ${targets.length} scheduled draft(s) remain after this return.` };
+            }
+
+            const setupShares = this.splitAmount(setupFee, count);
+            const programShares = this.splitAmount(programFee, count);
+            const savingsShares = this.splitAmount(savings, count);
+            const round = (value) => Math.round(value * 100) / 100;
+            const changedKeys = [];
+            targets.slice(0, count).forEach((target, i) => {
+                const addition = setupShares[i] + programShares[i] + savingsShares[i];
+                Object.assign(target, {
+                    draftAmount: round((Number(target.draftAmount) || 0) + addition),
+                    setupFee: round((Number(target.setupFee) || 0) + setupShares[i]),
+                    programFee: round((Number(target.programFee) || 0) + programShares[i]),
+                    savingsBalance: round((Number(target.savingsBalance) || 0) + savingsShares[i]),
+                    toEscrowAmount: round((Number(target.toEscrowAmount) || 0) + savingsShares[i]),
+                    isModified: true,
+                    nsfRecoveryFor: returned.tempId
+                });
+                changedKeys.push(target.tempId);
+            });
+            return { items, changedKeys };
+        }
+
+        let paymentDate;
+        if (this.nsfOption === 'redraft') {
+            paymentDate = this.nsfRedraftDate;
+            if (!paymentDate) {
+                return { error: 'Choose the date to redraft on.' };
+            }
+            if (paymentDate < this.getTodayString()) {
+                return { error: 'The redraft date cannot be in the past.' };
+            }
+        } else {
+            const dated = items
+                .map(item => item.originalPaymentDate || item.paymentDate)
+                .filter(Boolean)
+                .sort();
+            const last = dated[dated.length - 1];
+            const interval = dated.length >= 2
+                ? Math.round((new Date(last) - new Date(dated[dated.length - 2])) / 86400000)
+                : DEFAULT_DRAFT_INTERVAL_DAYS;
+            paymentDate = this.addDays(last || this.getTodayString(), interval > 0 ? interval : DEFAULT_DRAFT_INTERVAL_DAYS);
+        }
+
+        const newItem = this.withPaymentDate({
+            id: null,
+            tempId: `temp_nsf_${Date.now()}_${returned.rowNumber}`,
+            draftAmount: Math.round((setupFee + programFee + bankingFee + savings) * 100) / 100,
+            retainerFee: 0,
+            setupFee,
+            programFee,
+            bankingFee,
+            banking2Fee: 0,
+            savingsBalance: savings,
+            toEscrowAmount: savings,
+            status: EDITABLE_STATUS,
+            isNew: true,
+            isModified: false,
+            isDeleted: false,
+            nsfRecoveryFor: returned.tempId
+        }, paymentDate);
+
+        // Keep the array in date order so row numbers match the saved Payment_Number__c sequence
+        const insertAt = items.findIndex(item => item.paymentDate && item.paymentDate > newItem.paymentDate);
+        if (insertAt === -1) {
+            items.push(newItem);
+        } else {
+            items.splice(insertAt, 0, newItem);
+        }
+        items.forEach((item, index) => {
+            item.rowNumber = index + 1;
+        });
+
+        return { items, changedKeys: [newItem.tempId] };
+    }
+
+    toggleNsfPanel() {
+        this.showNsfPanel = !this.showNsfPanel;
+    }
+
+    handleSelectReturnedDraft(event) {
+        this.nsfSelectedKey = event.currentTarget.dataset.key;
+        if (!this.nsfRedraftDate) {
+            this.nsfRedraftDate = adjustDraftDate(this.addDays(this.getTodayString(), 1), this.bankingCalendar).date;
+        }
+    }
+
+    handleNsfOptionChange(event) {
+        this.nsfOption = event.detail.value;
+    }
+
+    handleNsfRedraftDateChange(event) {
+        this.nsfRedraftDate = event.target.value;
+    }
+
+    handleNsfSpreadCountChange(event) {
+        this.nsfSpreadCount = event.target.value;
+    }
+
+    handleCancelNsfRecovery() {
+        this.nsfSelectedKey = null;
+    }
+
+    /**
+     * Apply the previewed recovery to the pending edit. Nothing is persisted until the user
+     * saves the plan as a new version.
+     */
+    handleApplyNsfRecovery() {
+        const returned = this.nsfSelectedItem;
+        if (!returned) {
+            return;
+        }
+        const rowNumber = returned.rowNumber;
+        const returnedKey = returned.tempId;
+        const option = NSF_RECOVERY_OPTIONS.find(opt => opt.value === this.nsfOption);
+
+        if (!this.isEditMode) {
+            this.startEditSession();
+        }
+
+        // Re-resolve against the pending copy (tempIds are carried over by startEditSession)
+        const pendingReturned = this.pendingItems.find(item => item.tempId === returnedKey);
+        const result = this.buildNsfRecovery(this.nsfBaseItems, pendingReturned);
+        if (result.error) {
+            this.showToast('Error', result.error, 'error');
+            return;
+        }
+
+        this.recordHistory(`NSF recovery (row ${rowNumber}): ${option ? option.label : this.nsfOption}`);
+        this.pendingItems = this.processItems(result.items, true);
+        this.activeTab = 'Pending';
+        this.nsfSelectedKey = null;
+        this.showToast('Success', 'Recovery added to the pending schedule. Review it and click Save as New Version.', 'success');
+    }
+
     // ============ FILL HANDLE METHODS ============
 
     /**
@@ -2048,6 +2952,17 @@ export default class PaymentPlanEditor extends LightningElement {
             this.getValueFromCellByIndex(rowIndex, field) :
             item[field];
 
+        // Shift+click extends a rectangular range from the selected cell (for copy/paste)
+        if (event.shiftKey && this.selectionRange) {
+            this.selectionRange = {
+                ...this.selectionRange,
+                focusRow: rowIndex,
+                focusCol: CLIPBOARD_COLUMNS.indexOf(field)
+            };
+            this.highlightSelectionRange();
+            return;
+        }
+
         // Single cell selection - clear previous and select new
         this.clearCellSelection();
 
@@ -2065,15 +2980,19 @@ export default class PaymentPlanEditor extends LightningElement {
 
         // Add selected class to this cell
         cellElement.classList.add('cell-selected');
+
+        const col = CLIPBOARD_COLUMNS.indexOf(field);
+        this.selectionRange = { anchorRow: rowIndex, anchorCol: col, focusRow: rowIndex, focusCol: col };
     }
 
     /**
      * Clear all cell selections
      */
     clearCellSelection() {
-        const selectedCells = this.template.querySelectorAll('.cell-selected');
-        selectedCells.forEach(cell => cell.classList.remove('cell-selected'));
+        const selectedCells = this.template.querySelectorAll('.cell-selected, .in-copy-range');
+        selectedCells.forEach(cell => cell.classList.remove('cell-selected', 'in-copy-range'));
         this.selectedCellKey = null;
+        this.selectionRange = null;
     }
 
     /**
@@ -2106,6 +3025,8 @@ export default class PaymentPlanEditor extends LightningElement {
         this.clearCellSelectionVisual();
         cellElement.classList.add('cell-selected');
         this.selectedCellKey = `${tempId}-${field}`;
+        const col = CLIPBOARD_COLUMNS.indexOf(field);
+        this.selectionRange = { anchorRow: rowIndex, anchorCol: col, focusRow: rowIndex, focusCol: col };
 
         if (!this.fillSourceCell) return;
 
@@ -2127,8 +3048,8 @@ export default class PaymentPlanEditor extends LightningElement {
      * Clear cell selection visual (CSS class only, not data)
      */
     clearCellSelectionVisual() {
-        const selectedCells = this.template.querySelectorAll('.cell-selected');
-        selectedCells.forEach(cell => cell.classList.remove('cell-selected'));
+        const selectedCells = this.template.querySelectorAll('.cell-selected, .in-copy-range');
+        selectedCells.forEach(cell => cell.classList.remove('cell-selected', 'in-copy-range'));
     }
 
     /**
@@ -2272,12 +3193,18 @@ export default class PaymentPlanEditor extends LightningElement {
         // Get filtered pending items (non-deleted)
         const activeItems = this.pendingItems.filter(item => !item.isDeleted);
 
+        const fillCount = this.fillTargetRows.length;
+        this.recordHistory(`Fill ${HISTORY_FIELD_LABELS[field] || field} (${fillCount} row${fillCount > 1 ? 's' : ''})`);
+
         // Update each target row with the source value
         this.pendingItems = this.pendingItems.map((item, idx) => {
             // Find the display index (among non-deleted items)
             const displayIndex = activeItems.findIndex(ai => ai.tempId === item.tempId);
 
             if (displayIndex !== -1 && this.fillTargetRows.includes(displayIndex)) {
+                if (field === 'paymentDate') {
+                    return this.withPaymentDate({ ...item, isModified: true }, sourceValue);
+                }
                 return {
                     ...item,
                     [field]: sourceValue,
@@ -2380,4 +3307,430 @@ export default class PaymentPlanEditor extends LightningElement {
 
         return classes;
     }
+
+    // ============ CLIPBOARD METHODS ============
+
+    /**
+     * Normalized selection bounds ({ top, bottom, left, right } display indexes), or null
+     */
+    getSelectionBounds() {
+        const range = this.selectionRange;
+        if (!range || range.anchorCol < 0 || range.focusCol < 0) return null;
+        return {
+            top: Math.min(range.anchorRow, range.focusRow),
+            bottom: Math.max(range.anchorRow, range.focusRow),
+            left: Math.min(range.anchorCol, range.focusCol),
+            right: Math.max(range.anchorCol, range.focusCol)
+        };
+    }
+
+    highlightSelectionRange() {
+        const bounds = this.getSelectionBounds();
+        this.template.querySelectorAll('.fill-cell').forEach(cell => {
+            const rowIdx = parseInt(cell.dataset.rowIndex, 10);
+            const colIdx = CLIPBOARD_COLUMNS.indexOf(cell.dataset.field);
+            const inRange = bounds && rowIdx >= bounds.top && rowIdx <= bounds.bottom &&
+                colIdx >= bounds.left && colIdx <= bounds.right;
+            cell.classList.toggle('in-copy-range', !!inRange);
+        });
+    }
+
+    /**
+     * A single selected cell whose input has focus keeps the browser's own copy/paste
+     */
+    isTypingInSelectedCell() {
+        const bounds = this.getSelectionBounds();
+        const active = this.template.activeElement;
+        const isSingleCell = bounds && bounds.top === bounds.bottom && bounds.left === bounds.right;
+        return isSingleCell && active && (active.tagName === 'INPUT' || active.tagName === 'SELECT');
+    }
+
+    /**
+     * Copy the selected range out as TSV (pastes cleanly into Excel / Google Sheets)
+     */
+    handleGridCopy(event) {
+        if (!this.isEditMode || !this.getSelectionBounds() || this.isTypingInSelectedCell()) return;
+
+        const bounds = this.getSelectionBounds();
+        const rows = this.allSortedItems.slice(bounds.top, bounds.bottom + 1);
+        const fields = CLIPBOARD_COLUMNS.slice(bounds.left, bounds.right + 1);
+        const tsv = rows
+            .map(item => fields.map(field => this.formatClipboardValue(item, field)).join('\t'))
+            .join('\n');
+
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', tsv);
+
+        const cellCount = rows.length * fields.length;
+        this.showToast('Success', `Copied ${cellCount} cell${cellCount > 1 ? 's' : ''}`, 'success');
+    }
+
+    /**
+     * Paste a TSV block starting at the top-left of the selection.
+     * Blank cells leave the grid value as is; the whole paste is rejected if any value fails validation.
+     */
+    handleGridPaste(event) {
+        if (!this.isEditMode || !this.getSelectionBounds()) return;
+
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        const grid = this.parseClipboardGrid(text);
+        const isBlock = grid.length > 1 || (grid[0] && grid[0].length > 1);
+        if (!grid.length || (!isBlock && this.isTypingInSelectedCell())) return;
+
+        event.preventDefault();
+
+        const bounds = this.getSelectionBounds();
+        const displayRows = this.allSortedItems;
+
+        // A single copied value fills the whole selected range, like a spreadsheet
+        const tileSingleValue = !isBlock;
+        const rowCount = tileSingleValue ? bounds.bottom - bounds.top + 1 : grid.length;
+
+        const updatesByTempId = {};
+        const errors = [];
+        let pastedCount = 0;
+        let lockedCount = 0;
+        let droppedRowCount = 0;
+
+        for (let r = 0; r < rowCount; r++) {
+            const item = displayRows[bounds.top + r];
+            if (!item) {
+                droppedRowCount = rowCount - r;
+                break;
+            }
+
+            const values = tileSingleValue
+                ? Array(bounds.right - bounds.left + 1).fill(grid[0][0])
+                : grid[r];
+
+            if (!item.isRowEditable) {
+                lockedCount++;
+                continue;
+            }
+
+            for (let c = 0; c < values.length; c++) {
+                const field = CLIPBOARD_COLUMNS[bounds.left + c];
+                if (!field || READ_ONLY_CLIPBOARD_COLUMNS.includes(field) || values[c] === '') continue;
+
+                const parsed = this.parseClipboardValue(field, values[c]);
+                if (parsed.error) {
+                    errors.push(`Row ${item.rowNumber} ${HISTORY_FIELD_LABELS[field] || field}: ${parsed.error}`);
+                    continue;
+                }
+                updatesByTempId[item.tempId] = { ...updatesByTempId[item.tempId], [field]: parsed.value };
+                pastedCount++;
+            }
+        }
+
+        if (errors.length > 0) {
+            const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+            this.showToast('Paste Rejected', `${errors.slice(0, 3).join('; ')}${more}`, 'error');
+            return;
+        }
+        if (pastedCount === 0) {
+            this.showToast('Info', 'Nothing to paste into the selected rows', 'info');
+            return;
+        }
+
+        this.recordHistory(`Paste ${pastedCount} cell${pastedCount > 1 ? 's' : ''}`);
+        this.applyPastedValues(updatesByTempId);
+
+        const lockedNote = lockedCount > 0
+            ? ` (${lockedCount} locked row${lockedCount > 1 ? 's' : ''} skipped)`
+            : '';
+        const pastedMessage = `Pasted ${pastedCount} cell${pastedCount > 1 ? 's' : ''}${lockedNote}`;
+        if (droppedRowCount > 0) {
+            this.showToast(
+                'Warning',
+                `${pastedMessage}. ${droppedRowCount} row${droppedRowCount > 1 ? 's' : ''} past the end of the schedule ` +
+                    `${droppedRowCount > 1 ? 'were' : 'was'} not pasted.`,
+                'warning'
+            );
+            return;
+        }
+        this.showToast('Success', pastedMessage, 'success');
+    }
+
+    applyPastedValues(updatesByTempId) {
+        this.pendingItems = this.pendingItems.map(item => {
+            const updates = updatesByTempId[item.tempId];
+            if (!updates) return item;
+
+            let updatedItem = { ...item, ...updates, isModified: true };
+            if (updates.paymentDate) {
+                updatedItem = this.withPaymentDate(updatedItem, updates.paymentDate);
+            }
+
+            // Keep savings in step with the amounts, same as a typed edit
+            if (Object.keys(updates).some(field => this.isNumericField(field))) {
+                const savings = (Number(updatedItem.draftAmount) || 0) - (Number(updatedItem.bankingFee) || 0) -
+                    (Number(updatedItem.programFee) || 0) - (Number(updatedItem.setupFee) || 0);
+                updatedItem.savingsBalance = Math.round(savings * 100) / 100;
+                updatedItem.toEscrowAmount = updatedItem.savingsBalance;
+            }
+            return updatedItem;
+        });
+
+        this.pendingItems = this.processItems(this.pendingItems, true);
+    }
+
+    /**
+     * Split clipboard text into rows/cells (TSV, as Excel and Google Sheets copy it)
+     */
+    parseClipboardGrid(text) {
+        if (!text) return [];
+        return text
+            .replace(/\r?\n$/, '')
+            .split(/\r?\n/)
+            .map(line => line.split('\t').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    }
+
+    /**
+     * Validate and normalize one pasted value for a grid column
+     * @returns {Object} - { value } or { error }
+     */
+    parseClipboardValue(field, rawValue) {
+        const value = (rawValue || '').trim();
+
+        if (this.isNumericField(field)) {
+            // Accept "$1,234.50" and accounting-style negatives "(12.00)"
+            const isNegative = /^\(.*\)$/.test(value);
+            const cleaned = value.replace(/[$,\s()]/g, '');
+            const number = Number(cleaned);
+            if (cleaned === '' || Number.isNaN(number)) {
+                return { error: `"${value}" is not a number` };
+            }
+            return { value: Math.round((isNegative ? -number : number) * 100) / 100 };
+        }
+
+        if (field === 'status') {
+            const match = this.statusPicklistOptions.find(opt =>
+                opt.value.toLowerCase() === value.toLowerCase() ||
+                (opt.label || '').toLowerCase() === value.toLowerCase()
+            );
+            return match ? { value: match.value } : { error: `"${value}" is not a valid status` };
+        }
+
+        if (field === 'paymentDate') {
+            const isoDate = this.parseClipboardDate(value);
+            return isoDate ? { value: isoDate } : { error: `"${value}" is not a valid date` };
+        }
+
+        return { value };
+    }
+
+    /**
+     * Accepts YYYY-MM-DD or M/D/YYYY (US spreadsheet format); returns YYYY-MM-DD or null
+     */
+    parseClipboardDate(value) {
+        let year;
+        let month;
+        let day;
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(value);
+            if (!match) return null;
+            [, month, day, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    formatClipboardValue(item, field) {
+        const value = item[field];
+        if (this.isNumericField(field) || field === 'savingsBalance') {
+            return this.safeToFixed(Number(value) || 0);
+        }
+        return value == null ? '' : String(value);
+    }
+
+    // ============ UNDO / REDO METHODS ============
+
+    get canUndo() {
+        return this.undoStack.length > 0 || !!this._pendingEdit;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get isUndoDisabled() {
+        return !this.canUndo;
+    }
+
+    get isRedoDisabled() {
+        return !this.canRedo;
+    }
+
+    get historyCount() {
+        return this.undoStack.length;
+    }
+
+    get historyButtonLabel() {
+        return this.showHistory ? 'Hide History' : `History (${this.historyCount})`;
+    }
+
+    /**
+     * History list in chronological order: session start, applied changes, then undone changes
+     */
+    get historyEntries() {
+        const currentId = this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1].id : 0;
+        const entryClass = (id, isUndone) => {
+            let classes = 'history-entry';
+            if (isUndone) classes += ' history-entry-undone';
+            if (id === currentId) classes += ' history-entry-current';
+            return classes;
+        };
+
+        const start = { id: 0, label: 'Start of edit session', cssClass: entryClass(0, false) };
+        const applied = this.undoStack.map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            cssClass: entryClass(entry.id, false)
+        }));
+        const undone = [...this.redoStack].reverse().map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            cssClass: entryClass(entry.id, true)
+        }));
+        return [start, ...applied, ...undone];
+    }
+
+    toggleHistory() {
+        this.showHistory = !this.showHistory;
+    }
+
+    /**
+     * Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo (Cmd on macOS) while editing
+     */
+    handleEditorKeyDown(event) {
+        if (!this.isEditMode || !(event.ctrlKey || event.metaKey)) return;
+
+        const key = event.key ? event.key.toLowerCase() : '';
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleUndo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    handleUndo() {
+        this.commitPendingEdit();
+        if (this.undoStack.length === 0) return;
+
+        const entry = this.undoStack[this.undoStack.length - 1];
+        this.undoStack = this.undoStack.slice(0, -1);
+        this.redoStack = [...this.redoStack, { id: entry.id, label: entry.label, after: this.deepCloneItems(this.pendingItems) }];
+        this.restoreItems(entry.before);
+    }
+
+    handleRedo() {
+        this.commitPendingEdit();
+        if (this.redoStack.length === 0) return;
+
+        const entry = this.redoStack[this.redoStack.length - 1];
+        this.redoStack = this.redoStack.slice(0, -1);
+        this.undoStack = [...this.undoStack, { id: entry.id, label: entry.label, before: this.deepCloneItems(this.pendingItems) }];
+        this.restoreItems(entry.after);
+    }
+
+    /**
+     * Jump to the state right after the clicked history entry (0 = session start)
+     */
+    handleHistoryJump(event) {
+        const targetId = parseInt(event.currentTarget.dataset.id, 10);
+        this.commitPendingEdit();
+
+        const appliedIndex = this.undoStack.findIndex(entry => entry.id === targetId);
+        if (targetId === 0 || appliedIndex !== -1) {
+            const steps = this.undoStack.length - 1 - appliedIndex;
+            for (let i = 0; i < steps; i++) {
+                this.handleUndo();
+            }
+            return;
+        }
+
+        const redoIndex = this.redoStack.findIndex(entry => entry.id === targetId);
+        if (redoIndex !== -1) {
+            const steps = this.redoStack.length - redoIndex;
+            for (let i = 0; i < steps; i++) {
+                this.handleRedo();
+            }
+        }
+    }
+
+    /**
+     * Push the current pendingItems onto the undo stack before a change is applied
+     * @param {String} label - Description shown in the history list
+     */
+    recordHistory(label) {
+        this.commitPendingEdit();
+        this.pushUndoEntry(label, this.deepCloneItems(this.pendingItems));
+    }
+
+    pushUndoEntry(label, before) {
+        this._historySeq += 1;
+        this.undoStack = [...this.undoStack, { id: this._historySeq, label, before }].slice(-MAX_HISTORY);
+        this.redoStack = [];
+    }
+
+    /**
+     * Typed edits fire on every keystroke; snapshot once at the first keystroke so the
+     * whole edit (until blur) undoes as a single step
+     */
+    beginCellEdit(itemId, field) {
+        const key = `${itemId}-${field}`;
+        if (this._pendingEdit && this._pendingEdit.key === key) return;
+
+        this.commitPendingEdit();
+        this._pendingEdit = {
+            key,
+            itemId,
+            field,
+            label: this.getCellEditLabel(itemId, field),
+            before: this.deepCloneItems(this.pendingItems)
+        };
+    }
+
+    commitPendingEdit() {
+        if (!this._pendingEdit) return;
+
+        const { itemId, field, label, before } = this._pendingEdit;
+        this._pendingEdit = null;
+        // Typing and then restoring the original value is not an edit worth undoing
+        const findItem = items => items.find(i => i.id === itemId || i.tempId === itemId);
+        const oldItem = findItem(before);
+        const newItem = findItem(this.pendingItems);
+        if (oldItem && newItem && String(oldItem[field] ?? '') === String(newItem[field] ?? '')) return;
+        this.pushUndoEntry(label, before);
+    }
+
+    getCellEditLabel(itemId, field) {
+        const item = this.pendingItems.find(i => i.id === itemId || i.tempId === itemId);
+        const fieldLabel = HISTORY_FIELD_LABELS[field] || field;
+        return item ? `Edit ${fieldLabel} (row ${item.rowNumber})` : `Edit ${fieldLabel}`;
+    }
+
+    restoreItems(items) {
+        clearTimeout(this._debounceTimer);
+        this.clearCellSelection();
+        this.fillSourceCell = null;
+        this.pendingItems = this.deepCloneItems(items);
+    }
+
+    resetHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._pendingEdit = null;
+        this.showHistory = false;
+    }
 }
\ No newline at end of file
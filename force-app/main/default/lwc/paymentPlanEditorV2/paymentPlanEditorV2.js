@@ -9,9 +9,12 @@ import OPP_EST_CURRENT_PAYMENT_FIELD from '@salesforce/schema/Opportunity.Estima
 import OPP_EST_TOTAL_DEBT_FIELD from '@salesforce/schema/Opportunity.Estimated_Total_Debt__c';
 import OPP_ACCOUNT_STATE from '@salesforce/schema/Opportunity.Account.BillingState';
 import OPP_SETUP_FEE_FIELD from '@salesforce/schema/Opportunity.Setup_Fee__c';
+import { calculatePaymentPlan as calculatePaymentPlanLocal, diffResults } from 'c/paymentCalcEngine';
+import { loadBankingCalendar, WEEKENDS_ONLY } from 'c/bankingCalendar';
 
 
 const OPP_FIELDS = [OPP_EST_CURRENT_PAYMENT_FIELD, OPP_EST_TOTAL_DEBT_FIELD, OPP_ACCOUNT_STATE, OPP_SETUP_FEE_FIELD];
+const SUPERSEDED_CONFIRM_MESSAGE = 'The payment plan changed while it was being confirmed. Please save again.';
 
 
 export default class PaymentPlanEditorV2 extends LightningElement {
@@ -97,6 +100,10 @@ export default class PaymentPlanEditorV2 extends LightningElement {
    // Payment Schedule
    @track paymentSchedule = [];
    _calcSeq = 0;
+   // Program-specific CMDT config for the local calculation engine, keyed by program type
+   _programConfigs = {};
+   // Last locally previewed result; compared against Apex before save
+   _lastLocalResult = null;
 
 
    // Slider numbers for setup fee
@@ -218,6 +225,10 @@ export default class PaymentPlanEditorV2 extends LightningElement {
            } else {
                this.isCaState = false;
            }
+           // Local preview reads debt totals from the record; refresh once they (re)load
+           if (this.hasBootstrapped) {
+               this.performCalculations();
+           }
        } else if (error) {
            console.error('[PaymentPlanEditorV2] Error loading record:', error);
        }
@@ -241,97 +252,175 @@ export default class PaymentPlanEditorV2 extends LightningElement {
        let seq;
        try {
            seq = ++this._calcSeq;
-           const result = await calculatePaymentPlan({
-               recordId: this.recordId,
-               programType: this.programType,
-               paymentFrequency: this.paymentFrequency === 'WEEKLY' ? 'Weekly' : 'Monthly',
-               calculationMode: this.calculateBy === 'PERCENT' ? 'percentage' : 'desired_payment',
-               targetPaymentPercentage: this.targetPaymentPercent,
-               targetPaymentAmount: this.targetPaymentAmount,
-               setupFee: this.setupFeeTotal,
-               setupFeeTerm: this.setupFeePayments,
-               servicingFee: this.bankingFee,
-               bank2Fee: this.bank2Fee,
-               firstDraftDate: this.firstDraftDate,
-               preferredDayOfWeek: this.preferredDayOfWeek ? parseInt(this.preferredDayOfWeek, 10) : null,
-               noFeeProgram: this.noFeeProgram,
-               additionalProductsWeeklyTotal: 0
-           });
+           // Preview locally for instant feedback; Apex confirms before the Opportunity is saved
+           const [programConfig, bankingCalendar] = await Promise.all([
+               this.getProgramConfig(this.programType),
+               this.getBankingCalendar()
+           ]);
+           if (seq !== this._calcSeq) {
+               return;
+           }
+           const result = calculatePaymentPlanLocal({
+               ...this.buildCalculationParams(),
+               totalDebt: this.totalDebt,
+               currentPayment: this.currentPayment
+           }, programConfig, bankingCalendar);
+           this._lastLocalResult = result;
+           this.applyCalculationResult(result);
+       } catch (error) {
+           if (this._calcSeq && typeof seq !== 'undefined' && seq !== this._calcSeq) {
+               return;
+           }
+           this.handleCalculationError(error);
+       }
+   }
+
+
+   // Arguments for PaymentCalculatorController.calculatePaymentPlan (local preview and Apex confirmation)
+   buildCalculationParams() {
+       return {
+           recordId: this.recordId,
+           programType: this.programType,
+           paymentFrequency: this.paymentFrequency === 'WEEKLY' ? 'Weekly' : 'Monthly',
+           calculationMode: this.calculateBy === 'PERCENT' ? 'percentage' : 'desired_payment',
+           targetPaymentPercentage: this.targetPaymentPercent,
+           targetPaymentAmount: this.targetPaymentAmount,
+           setupFee: this.setupFeeTotal,
+           setupFeeTerm: this.setupFeePayments,
+           servicingFee: this.bankingFee,
+           bank2Fee: this.bank2Fee,
+           firstDraftDate: this.firstDraftDate,
+           preferredDayOfWeek: this.preferredDayOfWeek ? parseInt(this.preferredDayOfWeek, 10) : null,
+           noFeeProgram: this.noFeeProgram,
+           additionalProductsWeeklyTotal: 0
+       };
+   }
+
+
+   async getProgramConfig(programType) {
+       if (!this._programConfigs[programType]) {
+           this._programConfigs[programType] = await getRequiredConfigForProgram({ programType });
+       }
+       return this._programConfigs[programType];
+   }
+
+
+   // Weekends only if the calendar cannot load; Apex still applies holidays on confirmation
+   async getBankingCalendar() {
+       try {
+           return await loadBankingCalendar();
+       } catch (error) {
+           console.error('[PaymentPlanEditorV2] Banking calendar failed to load:', error);
+           return WEEKENDS_ONLY;
+       }
+   }
+
+
+   // Re-run the current inputs through Apex so the Opportunity is saved with server-confirmed numbers
+   async confirmCalculationsWithApex() {
+       const seq = ++this._calcSeq;
+       try {
+           const result = await calculatePaymentPlan(this.buildCalculationParams());
+           if (seq !== this._calcSeq) {
+               this.showToast('Warning', SUPERSEDED_CONFIRM_MESSAGE, 'warning', false);
+               return false;
+           }
+           if (!result) {
+               this.showToast('Error', 'The server did not return a payment plan. Please try again.', 'error', false);
+               return false;
+           }
 
 
-           if (result) {
-               if (seq !== this._calcSeq) {
-                   return;
-               }
+           const drift = this._lastLocalResult ? diffResults(this._lastLocalResult, result) : [];
+           if (drift.length > 0) {
+               console.warn('[PaymentPlanEditorV2] Local preview differed from Apex:', drift);
+               this.showToast('Warning', 'Payment plan was recalculated by the server before saving. Please review the updated values.', 'warning', false);
+           }
+           this._lastLocalResult = null;
+           this.applyCalculationResult(result);
+           return true;
+       } catch (error) {
+           if (seq === this._calcSeq) {
+               this.handleCalculationError(error);
+           } else {
+               this.showToast('Warning', SUPERSEDED_CONFIRM_MESSAGE, 'warning', false);
+           }
+           return false;
+       }
+   }
 
 
-               const filteredResult = { ...result };
-               delete filteredResult.programSplitPercentage;
-               delete filteredResult.escrowSplitPercentage;
+   applyCalculationResult(result) {
+       if (!result) {
+           return;
+       }
 
 
-               this.settlementPercent = filteredResult.settlementPercentage;
-               this.programFeePercent = filteredResult.programFeePercentage;
-               if (typeof filteredResult.currentPayment !== 'undefined' && filteredResult.currentPayment !== null) {
-                   this.currentPayment = filteredResult.currentPayment;
-               }
+       const filteredResult = { ...result };
+       delete filteredResult.programSplitPercentage;
+       delete filteredResult.escrowSplitPercentage;
 
 
-               this.programSplitRatio = filteredResult.programSplitRatio;
-               this.escrowSplitRatio = filteredResult.escrowSplitRatio;
+       this.settlementPercent = filteredResult.settlementPercentage;
+       this.programFeePercent = filteredResult.programFeePercentage;
+       if (typeof filteredResult.currentPayment !== 'undefined' && filteredResult.currentPayment !== null) {
+           this.currentPayment = filteredResult.currentPayment;
+       }
 
 
-               if (this.noFeeProgram) {
-                   this.programFeePercent = 0;
-                   this.programSplitRatio = 0;
-                   this.escrowSplitRatio = 1.0;
-               }
+       this.programSplitRatio = filteredResult.programSplitRatio;
+       this.escrowSplitRatio = filteredResult.escrowSplitRatio;
 
 
-               this.calculations = {
-                   weeklyPayment: filteredResult.weeklyPayment || 0,
-                   monthlyPayment: filteredResult.monthlyPayment || 0,
-                   programLength: filteredResult.numberOfWeeks || 0,
-                   settlementAmount: filteredResult.settlementAmount || 0,
-                   programFeeAmount: filteredResult.programFee || 0,
-                   totalProgramCost: filteredResult.totalProgram || 0,
-                   savingsAmount: filteredResult.totalSavings || 0,
-                   savingsPercent: filteredResult.savingsPercentage || 0,
-                   setupFeePerPayment: this.setupFeeTotal / this.setupFeePayments,
-                   bankingFeeTotal: filteredResult.bankingFeeTotal || 0
-               };
+       if (this.noFeeProgram) {
+           this.programFeePercent = 0;
+           this.programSplitRatio = 0;
+           this.escrowSplitRatio = 1.0;
+       }
 
 
-               if (filteredResult.paymentSchedule && filteredResult.paymentSchedule.length > 0) {
-                   const convertedSchedule = this.convertScheduleForDisplay(filteredResult.paymentSchedule);
-                   this.paymentSchedule = [...convertedSchedule];
-               } else {
-                   this.paymentSchedule = [];
-               }
+       this.calculations = {
+           weeklyPayment: filteredResult.weeklyPayment || 0,
+           monthlyPayment: filteredResult.monthlyPayment || 0,
+           programLength: filteredResult.numberOfWeeks || 0,
+           settlementAmount: filteredResult.settlementAmount || 0,
+           programFeeAmount: filteredResult.programFee || 0,
+           totalProgramCost: filteredResult.totalProgram || 0,
+           savingsAmount: filteredResult.totalSavings || 0,
+           savingsPercent: filteredResult.savingsPercentage || 0,
+           setupFeePerPayment: this.setupFeeTotal / this.setupFeePayments,
+           bankingFeeTotal: filteredResult.bankingFeeTotal || 0
+       };
 
 
-               if (this.calculateBy === 'PERCENT') {
-                   if (filteredResult.weeklyPayment != null) {
-                       const boundedWeekly = Math.max(this._minimumWeeklyTarget(), filteredResult.weeklyPayment);
-                       const displayAmount = this._toDisplay(boundedWeekly);
-                       this.targetPaymentAmount = displayAmount;
-                       this._syncPercentFromAmount(displayAmount);
-                   }
-               }
-           }
-       } catch (error) {
-           if (this._calcSeq && typeof seq !== 'undefined' && seq !== this._calcSeq) {
-               return;
-           }
-           console.error('[PaymentPlanEditorV2] ERROR calculating payment plan:', error);
-           const errorMsg = error.body?.message || error.message || '';
-           if (errorMsg.includes('PaymentCalcConfigException') || errorMsg.includes('Configuration') || errorMsg.includes('CMDT')) {
-               this.configLoadError = `Configuration Error: ${errorMsg}. Please contact your administrator.`;
-               this.configLoaded = false;
-           }
-           this.showToast('Error', 'Failed to calculate payment plan: ' + errorMsg, 'error', false);
+       if (filteredResult.paymentSchedule && filteredResult.paymentSchedule.length > 0) {
+           const convertedSchedule = this.convertScheduleForDisplay(filteredResult.paymentSchedule);
+           this.paymentSchedule = [...convertedSchedule];
+       } else {
            this.paymentSchedule = [];
        }
+
+
+       if (this.calculateBy === 'PERCENT') {
+           if (filteredResult.weeklyPayment != null) {
+               const boundedWeekly = Math.max(this._minimumWeeklyTarget(), filteredResult.weeklyPayment);
+               const displayAmount = this._toDisplay(boundedWeekly);
+               this.targetPaymentAmount = displayAmount;
+               this._syncPercentFromAmount(displayAmount);
+           }
+       }
+   }
+
+
+   handleCalculationError(error) {
+       console.error('[PaymentPlanEditorV2] ERROR calculating payment plan:', error);
+       const errorMsg = error.body?.message || error.message || '';
+       if (errorMsg.includes('PaymentCalcConfigException') || errorMsg.includes('Configuration') || errorMsg.includes('CMDT')) {
+           this.configLoadError = `Configuration Error: ${errorMsg}. Please contact your administrator.`;
+           this.configLoaded = false;
+       }
+       this.showToast('Error', 'Failed to calculate payment plan: ' + errorMsg, 'error', false);
+       this.paymentSchedule = [];
    }
 
 
@@ -385,6 +474,7 @@ export default class PaymentPlanEditorV2 extends LightningElement {
    async refreshConfigForProgram(programType) {
        try {
            const cfg = await getRequiredConfigForProgram({ programType });
+           this._programConfigs[programType] = cfg;
 
 
            this.programSplitRatio = cfg.programSplitRatio;
@@ -784,6 +874,9 @@ export default class PaymentPlanEditorV2 extends LightningElement {
 
        try {
            this.isLoading = true;
+           if (!(await this.confirmCalculationsWithApex())) {
+               return;
+           }
 
 
            // Use summaryWeeklyPayment to match what's displayed in the UI
@@ -39,6 +39,7 @@ export default class PaymentPlanTable extends LightningElement {
     paymentScheduleItems = [];
     isLoading = false;
     showFullscreen = false;
+    showVersionDiff = false;
     selectedVersion = {};
     
     // Version history columns
@@ -345,6 +346,18 @@ export default class PaymentPlanTable extends LightningElement {
         this.showFullscreen = !this.showFullscreen;
     }
     
+    get canCompareVersions() {
+        return this.paymentPlanVersions.length >= 2;
+    }
+    
+    get compareVersionsLabel() {
+        return this.showVersionDiff ? 'Hide Comparison' : 'Compare Versions';
+    }
+    
+    handleToggleVersionDiff() {
+        this.showVersionDiff = !this.showVersionDiff;
+    }
+    
     handleExportSchedule() {
         // Convert payment schedule to CSV
         const headers = this.scheduleColumns.map(col => col.label).join(',');
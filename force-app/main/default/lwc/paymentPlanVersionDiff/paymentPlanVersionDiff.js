@@ -0,0 +1,360 @@
+import { LightningElement, api } from 'lwc';
+import compareVersions from '@salesforce/apex/PaymentPlanVersionController.compareVersions';
+
+const CURRENCY_FIELDS = ['draftAmount', 'setupFee', 'programFee', 'bankingFee', 'savingsBalance'];
+
+// Item columns shown in the diff table and the compliance export, in display order
+const ITEM_COLUMNS = [
+    { field: 'paymentDate', label: 'Date' },
+    { field: 'draftAmount', label: 'Draft Amount' },
+    { field: 'setupFee', label: 'Setup Fee' },
+    { field: 'programFee', label: 'Program Fee' },
+    { field: 'bankingFee', label: 'Banking Fee' },
+    { field: 'savingsBalance', label: 'Savings Balance' },
+    { field: 'status', label: 'Status' }
+];
+
+const CHANGE_BADGE_CLASSES = {
+    Added: 'change-badge change-added',
+    Removed: 'change-badge change-removed',
+    Changed: 'change-badge change-changed'
+};
+
+export default class PaymentPlanVersionDiff extends LightningElement {
+    baseVersionId;
+    compareVersionId;
+    diff = null;
+    isLoading = false;
+    loadError = null;
+
+    _compareSeq = 0;
+
+    _versions = [];
+    /**
+     * Versions as loaded by paymentPlanTable.loadPaymentPlanVersions (newest first).
+     * Defaults to comparing the previous version against the latest one.
+     */
+    @api
+    get versions() {
+        return this._versions;
+    }
+    set versions(value) {
+        this._versions = Array.isArray(value) ? value : [];
+        const ids = this._versions.map(v => v.Id);
+        if (!ids.includes(this.compareVersionId)) {
+            this.compareVersionId = ids[0];
+        }
+        if (!ids.includes(this.baseVersionId)) {
+            this.baseVersionId = ids[1];
+        }
+        this.runCompare();
+    }
+
+    get versionOptions() {
+        return this._versions.map(v => ({
+            label: `Version ${v.Version_Number__c || 1}${v.Is_Active__c ? ' (Active)' : ''}${v.Version_Status__c ? ' – ' + v.Version_Status__c : ''}`,
+            value: v.Id
+        }));
+    }
+
+    get hasDiff() {
+        return !!this.diff;
+    }
+
+    get hasLoadError() {
+        return !!this.loadError;
+    }
+
+    get isSameVersion() {
+        return !!this.baseVersionId && this.baseVersionId === this.compareVersionId;
+    }
+
+    get isExportDisabled() {
+        return !this.diff || this.isLoading;
+    }
+
+    handleBaseChange(event) {
+        this.baseVersionId = event.detail.value;
+        this.runCompare();
+    }
+
+    handleCompareChange(event) {
+        this.compareVersionId = event.detail.value;
+        this.runCompare();
+    }
+
+    handleSwap() {
+        [this.baseVersionId, this.compareVersionId] = [this.compareVersionId, this.baseVersionId];
+        this.runCompare();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    async runCompare() {
+        const seq = ++this._compareSeq;
+        if (!this.baseVersionId || !this.compareVersionId || this.isSameVersion) {
+            this.diff = null;
+            this.loadError = null;
+            this.isLoading = false;
+            return;
+        }
+
+        this.isLoading = true;
+        this.loadError = null;
+        try {
+            const result = await compareVersions({
+                baseVersionId: this.baseVersionId,
+                compareVersionId: this.compareVersionId
+            });
+            if (seq !== this._compareSeq) {
+                return;
+            }
+            this.diff = result;
+        } catch (error) {
+            if (seq !== this._compareSeq) {
+                return;
+            }
+            console.error('[PaymentPlanVersionDiff] Failed to compare versions', error);
+            this.loadError = error?.body?.message || error?.message || 'Failed to compare versions';
+            this.diff = null;
+        } finally {
+            if (seq === this._compareSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    // ---------------------------------------------------------------------------------
+    // Display rows
+    // ---------------------------------------------------------------------------------
+
+    get versionCards() {
+        if (!this.diff) {
+            return [];
+        }
+        return [
+            { key: 'base', role: 'Base', summary: this.diff.baseVersion },
+            { key: 'compare', role: 'Compare', summary: this.diff.compareVersion }
+        ].map(({ key, role, summary }) => ({
+            key,
+            role,
+            title: `Version ${summary.versionNumber}`,
+            status: summary.isActive ? 'Active' : summary.versionStatus,
+            notes: summary.versionNotes,
+            createdBy: summary.createdByName || '—',
+            createdDate: this.formatDateTime(summary.createdDate),
+            activatedBy: summary.activatedByName || '—',
+            activatedDate: summary.activatedDate ? this.formatDateTime(summary.activatedDate) : 'Not activated',
+            itemCount: summary.itemCount
+        }));
+    }
+
+    get countBadges() {
+        if (!this.diff) {
+            return [];
+        }
+        return [
+            { key: 'added', label: 'Added', count: this.diff.addedCount, cssClass: 'count-badge change-added' },
+            { key: 'removed', label: 'Removed', count: this.diff.removedCount, cssClass: 'count-badge change-removed' },
+            { key: 'changed', label: 'Changed', count: this.diff.changedCount, cssClass: 'count-badge change-changed' },
+            { key: 'unchanged', label: 'Unchanged', count: this.diff.unchangedCount, cssClass: 'count-badge' }
+        ];
+    }
+
+    get totalRows() {
+        return (this.diff?.totals || []).map(total => ({
+            key: total.field,
+            label: total.label,
+            baseDisplay: this.formatCurrency(total.baseTotal),
+            compareDisplay: this.formatCurrency(total.compareTotal),
+            deltaDisplay: this.formatDelta(total.delta),
+            deltaClass: this.deltaClass(total.delta)
+        }));
+    }
+
+    get itemColumns() {
+        return ITEM_COLUMNS;
+    }
+
+    get hasItemRows() {
+        return (this.diff?.items || []).length > 0;
+    }
+
+    /**
+     * One row per added/removed/changed item. Changed cells show "old → new";
+     * added and removed rows show the values of the side they exist on.
+     */
+    get itemRows() {
+        return (this.diff?.items || []).map(item => {
+            const changesByField = {};
+            (item.changes || []).forEach(change => {
+                changesByField[change.field] = change;
+            });
+            const sourceItem = item.changeType === 'Removed' ? item.baseItem : item.compareItem;
+
+            const cells = ITEM_COLUMNS.map(col => {
+                const change = changesByField[col.field];
+                if (change) {
+                    return {
+                        key: `${item.matchKey}-${col.field}`,
+                        isChanged: true,
+                        oldDisplay: this.formatFieldValue(col.field, change.oldValue),
+                        newDisplay: this.formatFieldValue(col.field, change.newValue),
+                        deltaDisplay: change.delta != null ? this.formatDelta(change.delta) : '',
+                        cellClass: 'diff-cell diff-cell-changed'
+                    };
+                }
+                return {
+                    key: `${item.matchKey}-${col.field}`,
+                    isChanged: false,
+                    display: sourceItem ? this.formatFieldValue(col.field, sourceItem[col.field]) : '',
+                    cellClass: 'diff-cell'
+                };
+            });
+
+            return {
+                key: item.matchKey,
+                rowNumber: item.rowNumber,
+                changeType: item.changeType,
+                badgeClass: CHANGE_BADGE_CLASSES[item.changeType],
+                rowClass: `diff-row diff-row-${item.changeType.toLowerCase()}`,
+                cells
+            };
+        });
+    }
+
+    // ---------------------------------------------------------------------------------
+    // Compliance export
+    // ---------------------------------------------------------------------------------
+
+    handleExport() {
+        if (!this.diff) {
+            return;
+        }
+        const { baseVersion, compareVersion } = this.diff;
+        const lines = [
+            ['Payment Plan Version Comparison'],
+            ['Base', `Version ${baseVersion.versionNumber}`, 'Created By', baseVersion.createdByName,
+                'Created', this.formatDateTime(baseVersion.createdDate),
+                'Activated By', baseVersion.activatedByName, 'Activated', this.formatDateTime(baseVersion.activatedDate)],
+            ['Compare', `Version ${compareVersion.versionNumber}`, 'Created By', compareVersion.createdByName,
+                'Created', this.formatDateTime(compareVersion.createdDate),
+                'Activated By', compareVersion.activatedByName, 'Activated', this.formatDateTime(compareVersion.activatedDate)],
+            [],
+            ['Total', 'Base', 'Compare', 'Delta'],
+            ...this.diff.totals.map(t => [t.label, this.toFixed(t.baseTotal), this.toFixed(t.compareTotal), this.toFixed(t.delta)]),
+            [],
+            ['Row', 'Change', 'Field', 'Old Value', 'New Value', 'Delta']
+        ];
+
+        this.diff.items.forEach(item => {
+            if (item.changeType === 'Changed') {
+                item.changes.forEach(change => {
+                    lines.push([
+                        item.rowNumber, item.changeType, change.label,
+                        this.exportValue(change.field, change.oldValue),
+                        this.exportValue(change.field, change.newValue),
+                        change.delta != null ? this.toFixed(change.delta) : ''
+                    ]);
+                });
+            } else {
+                const source = item.changeType === 'Removed' ? item.baseItem : item.compareItem;
+                ITEM_COLUMNS.forEach(col => {
+                    const value = this.exportValue(col.field, source[col.field]);
+                    lines.push([
+                        item.rowNumber, item.changeType, col.label,
+                        item.changeType === 'Removed' ? value : '',
+                        item.changeType === 'Added' ? value : '',
+                        ''
+                    ]);
+                });
+            }
+        });
+
+        const csv = lines.map(line => line.map(v => this.csvEscape(v)).join(',')).join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `payment_plan_v${baseVersion.versionNumber}_vs_v${compareVersion.versionNumber}_${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+        window.URL.revokeObjectURL(url);
+    }
+
+    exportValue(field, value) {
+        if (CURRENCY_FIELDS.includes(field)) {
+            return this.toFixed(value);
+        }
+        return value == null ? '' : String(value);
+    }
+
+    csvEscape(value) {
+        const text = value == null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // Formatting
+    // ---------------------------------------------------------------------------------
+
+    formatFieldValue(field, value) {
+        if (CURRENCY_FIELDS.includes(field)) {
+            return this.formatCurrency(value);
+        }
+        if (field === 'paymentDate') {
+            return this.formatDate(value);
+        }
+        return value || '—';
+    }
+
+    formatCurrency(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 2
+        }).format(value || 0);
+    }
+
+    formatDelta(value) {
+        const amount = Number(value || 0);
+        if (amount === 0) {
+            return this.formatCurrency(0);
+        }
+        return `${amount > 0 ? '+' : '−'}${this.formatCurrency(Math.abs(amount))}`;
+    }
+
+    deltaClass(value) {
+        const amount = Number(value || 0);
+        if (amount > 0) return 'delta delta-up';
+        if (amount < 0) return 'delta delta-down';
+        return 'delta';
+    }
+
+    // Schedule dates are date-only (YYYY-MM-DD); format without shifting through the local timezone
+    formatDate(value) {
+        if (!value) {
+            return '—';
+        }
+        const [year, month, day] = String(value).split('-');
+        return `${Number(month)}/${Number(day)}/${year}`;
+    }
+
+    formatDateTime(value) {
+        if (!value) {
+            return '';
+        }
+        return new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        }).format(new Date(value));
+    }
+
+    toFixed(value) {
+        return Number(value || 0).toFixed(2);
+    }
+}
@@ -1,5 +1,9 @@
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getTemplateKeys from '@salesforce/apex/ProgramConfigTemplateController.getTemplateKeys';
+import getTemplates from '@salesforce/apex/ProgramConfigTemplateController.getTemplates';
+import saveTemplate from '@salesforce/apex/ProgramConfigTemplateController.saveTemplate';
+import deleteTemplate from '@salesforce/apex/ProgramConfigTemplateController.deleteTemplate';
 
 const PROGRAM_TYPE_OPTIONS = [
     { label: 'DCG Debt (70/30 Split)', value: 'DCG_DEBT' },
@@ -43,6 +47,17 @@ export default class ProgramConfiguration extends LightningElement {
     showAdvancedSettings = false;
     previewCalculations = {};
 
+    // Template save/load dialogs
+    showSaveTemplateModal = false;
+    showLoadTemplateModal = false;
+    templateName = '';
+    shareTemplate = false;
+    templates = [];
+    selectedTemplateId = null;
+    isTemplateBusy = false;
+    // Program-level settings captured by Save as Template, as defined by the Apex controller
+    templateKeys = [];
+
     programTypeOptions = PROGRAM_TYPE_OPTIONS;
     frequencyOptions = FREQUENCY_OPTIONS;
     calculationModeOptions = CALCULATION_MODE_OPTIONS;
@@ -165,7 +180,8 @@ export default class ProgramConfiguration extends LightningElement {
         }
     }
 
-    applyStateSpecificRules() {
+    // baseConfig lets callers apply the rules on top of updates the parent has not passed back down yet
+    applyStateSpecificRules(baseConfig = this.config) {
         if (this.isCaliforniaClient) {
             // California specific rules
             this.updateConfig({
@@ -173,7 +189,7 @@ export default class ProgramConfiguration extends LightningElement {
                 setupFee: 2500,
                 programFeePercentage: 0,
                 retainerFeePercentage: 0
-            });
+            }, baseConfig);
             this.showToast('Info', 'California no-fee program rules applied', 'info');
         }
     }
@@ -325,18 +341,155 @@ export default class ProgramConfiguration extends LightningElement {
         this.showToast('Success', 'Configuration reset to defaults', 'success');
     }
 
+    // ---------------------------------------------------------------------------------
+    // Templates
+    // ---------------------------------------------------------------------------------
+
+    get templateOptions() {
+        return this.templates.map(t => ({
+            label: t.isOwner ? t.name : `${t.name} (shared by ${t.ownerName})`,
+            value: t.id,
+            description: [t.programType, t.isShared ? 'Team' : 'Only me'].filter(Boolean).join(' · ')
+        }));
+    }
+
+    get hasTemplates() {
+        return this.templates.length > 0;
+    }
+
+    get selectedTemplate() {
+        return this.templates.find(t => t.id === this.selectedTemplateId);
+    }
+
+    @wire(getTemplateKeys)
+    wiredTemplateKeys({ data, error }) {
+        if (data) {
+            this.templateKeys = data;
+        } else if (error) {
+            console.error('Error loading template keys:', error);
+        }
+    }
+
+    get isSaveTemplateDisabled() {
+        return this.isTemplateBusy || !this.templateKeys.length || !this.templateName || !this.templateName.trim();
+    }
+
+    get isLoadTemplateDisabled() {
+        return this.isTemplateBusy || !this.selectedTemplate;
+    }
+
+    get isDeleteTemplateDisabled() {
+        return this.isTemplateBusy || !this.selectedTemplate || !this.selectedTemplate.isOwner;
+    }
+
     handleSaveTemplate() {
-        // Implement save template functionality
-        this.showToast('Info', 'Template saved successfully', 'success');
+        this.templateName = '';
+        this.shareTemplate = false;
+        this.showSaveTemplateModal = true;
+    }
+
+    async handleLoadTemplate() {
+        this.selectedTemplateId = null;
+        this.showLoadTemplateModal = true;
+        await this.refreshTemplates();
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.target.value;
+    }
+
+    handleShareTemplateChange(event) {
+        this.shareTemplate = event.target.checked;
+    }
+
+    handleTemplateSelect(event) {
+        this.selectedTemplateId = event.detail.value;
+    }
+
+    handleCloseTemplateModal() {
+        this.showSaveTemplateModal = false;
+        this.showLoadTemplateModal = false;
+    }
+
+    async refreshTemplates() {
+        this.isTemplateBusy = true;
+        try {
+            this.templates = (await getTemplates()) || [];
+        } catch (error) {
+            this.templates = [];
+            this.showToast('Error', this.getErrorMessage(error, 'Failed to load templates'), 'error');
+        } finally {
+            this.isTemplateBusy = false;
+        }
+    }
+
+    async handleConfirmSaveTemplate() {
+        const config = {};
+        this.templateKeys.forEach(field => {
+            if (this.config[field] !== undefined && this.config[field] !== null) {
+                config[field] = this.config[field];
+            }
+        });
+
+        this.isTemplateBusy = true;
+        try {
+            const saved = await saveTemplate({
+                templateName: this.templateName.trim(),
+                config,
+                isShared: this.shareTemplate
+            });
+            this.showSaveTemplateModal = false;
+            this.showToast('Success', `Template "${saved.name}" saved`, 'success');
+        } catch (error) {
+            this.showToast('Error', this.getErrorMessage(error, 'Failed to save template'), 'error');
+        } finally {
+            this.isTemplateBusy = false;
+        }
+    }
+
+    handleConfirmLoadTemplate() {
+        const template = this.selectedTemplate;
+        if (!template) {
+            return;
+        }
+        const updates = {};
+        this.templateKeys.forEach(field => {
+            if (template.config && template.config[field] !== undefined) {
+                updates[field] = template.config[field];
+            }
+        });
+
+        this.updateConfig(updates);
+        // A template saved for a non-CA client must not bring fees back for a CA client
+        this.applyStateSpecificRules({ ...this.config, ...updates });
+        this.showLoadTemplateModal = false;
+        this.showToast('Success', `Template "${template.name}" loaded`, 'success');
+    }
+
+    async handleDeleteTemplate() {
+        const template = this.selectedTemplate;
+        if (!template) {
+            return;
+        }
+        this.isTemplateBusy = true;
+        try {
+            await deleteTemplate({ templateId: template.id });
+            this.selectedTemplateId = null;
+            this.showToast('Success', `Template "${template.name}" deleted`, 'success');
+        } catch (error) {
+            this.showToast('Error', this.getErrorMessage(error, 'Failed to delete template'), 'error');
+        } finally {
+            this.isTemplateBusy = false;
+        }
+        await this.refreshTemplates();
     }
 
-    handleLoadTemplate() {
-        // Implement load template functionality
-        this.showToast('Info', 'Template loaded successfully', 'success');
+    getErrorMessage(error, fallback) {
+        return error?.body?.message || error?.message || fallback;
     }
 
-    updateConfig(updates) {
-        const updatedConfig = { ...this.config, ...updates };
+    updateConfig(updates, baseConfig = this.config) {
+        const updatedConfig = { ...baseConfig, ...updates };
         
         const configChangeEvent = new CustomEvent('configchange', {
             detail: updatedConfig
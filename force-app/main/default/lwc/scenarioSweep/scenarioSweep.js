@@ -0,0 +1,358 @@
+import { LightningElement, api } from 'lwc';
+import { calculatePaymentPlan } from 'c/paymentCalcEngine';
+
+const SWEEP_PERCENT = 'PERCENT';
+const SWEEP_AMOUNT = 'AMOUNT';
+
+// Keep the sweep (and the chart) readable and cheap to compute
+const MAX_SCENARIOS = 41;
+const DEFAULT_PERCENT_STEP = 5;
+const DEFAULT_AMOUNT_STEP = 50;
+
+// SVG chart geometry (viewBox units)
+const CHART = { width: 640, height: 280, left: 64, right: 72, top: 16, bottom: 44 };
+const TICK_COUNT = 5;
+
+// Matching tolerance when marking the scenario the calculator is currently on
+const CURRENT_TOLERANCE = 0.5;
+
+export default class ScenarioSweep extends LightningElement {
+    sweepBy = SWEEP_PERCENT;
+    percentStep = DEFAULT_PERCENT_STEP;
+    amountStep = DEFAULT_AMOUNT_STEP;
+    scenarios = [];
+    chart = null;
+    sweepError = null;
+
+    /**
+     * Current calculator inputs: paymentCalculator.buildCalculationParams() plus totalDebt/currentPayment.
+     */
+    @api calculationParams;
+
+    // Program-specific ConfigDTO (getRequiredConfigForProgram)
+    @api programConfig;
+
+    // Target percent bounds (program minimum to config maximum)
+    @api percentMin;
+    @api percentMax;
+
+    // Weekly amount bounds; weeklyMax is null when the client has no current payment
+    @api weeklyMin;
+    @api weeklyMax;
+
+    _signature = null;
+
+    /**
+     * Mode the calculator is in ('PERCENT' | 'DESIRED'); the sweep starts on the matching axis.
+     */
+    @api
+    get calculateBy() {
+        return this.sweepBy === SWEEP_PERCENT ? 'PERCENT' : 'DESIRED';
+    }
+    set calculateBy(value) {
+        this.sweepBy = value === 'DESIRED' ? SWEEP_AMOUNT : SWEEP_PERCENT;
+    }
+
+    // Inputs arrive as separate props on every parent render; sweep once they have all settled
+    renderedCallback() {
+        this.runSweep();
+    }
+
+    get sweepOptions() {
+        return [
+            { label: 'Target %', value: SWEEP_PERCENT },
+            { label: 'Weekly Amount', value: SWEEP_AMOUNT }
+        ];
+    }
+
+    get isPercentSweep() {
+        return this.sweepBy === SWEEP_PERCENT;
+    }
+
+    get rangeLabel() {
+        if (this.isPercentSweep) {
+            return `${this.percentMin}% – ${this.percentMax}% in ${this.percentStep}% steps`;
+        }
+        const [min, max] = this.amountRange();
+        return `${this.formatCurrency(min)} – ${this.formatCurrency(max)} in ${this.formatCurrency(this.amountStep)} steps`;
+    }
+
+    get hasScenarios() {
+        return this.scenarios.length > 0;
+    }
+
+    get hasSweepError() {
+        return !!this.sweepError;
+    }
+
+    handleSweepByChange(event) {
+        this.sweepBy = event.detail.value;
+        this.runSweep(true);
+    }
+
+    handlePercentStepChange(event) {
+        const step = Number(event.detail.value);
+        if (step > 0) {
+            this.percentStep = step;
+            this.runSweep(true);
+        }
+    }
+
+    handleAmountStepChange(event) {
+        const step = Number(event.detail.value);
+        if (step > 0) {
+            this.amountStep = step;
+            this.runSweep(true);
+        }
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // Clicking a point (or its table row) applies that scenario to the main calculator
+    handleApplyScenario(event) {
+        const key = event.currentTarget.dataset.key;
+        const scenario = this.scenarios.find(s => s.key === key);
+        if (!scenario) {
+            return;
+        }
+        const detail = this.isPercentSweep
+            ? { calculateBy: 'PERCENT', targetPaymentPercent: scenario.sweepValue }
+            : { calculateBy: 'DESIRED', weeklyAmount: scenario.sweepValue };
+        this.dispatchEvent(new CustomEvent('scenarioapply', { detail }));
+    }
+
+    // ---------------------------------------------------------------------------------
+    // Sweep
+    // ---------------------------------------------------------------------------------
+
+    runSweep(force = false) {
+        if (!this.calculationParams || !this.programConfig) {
+            this._signature = null;
+            if (this.scenarios.length > 0) {
+                this.scenarios = [];
+                this.chart = null;
+            }
+            return;
+        }
+        const values = this.isPercentSweep ? this.percentValues() : this.amountValues();
+        // Parent re-renders pass fresh objects; only recompute when the inputs actually changed
+        const signature = JSON.stringify([this.sweepBy, values, this.calculationParams, this.programConfig]);
+        if (!force && signature === this._signature) {
+            return;
+        }
+        this._signature = signature;
+
+        try {
+            this.scenarios = values.map((value, idx) => this.buildScenario(value, idx));
+            this.chart = this.scenarios.length > 0 ? this.buildChart() : null;
+            this.sweepError = null;
+        } catch (error) {
+            console.error('[ScenarioSweep] Sweep failed', error);
+            this.sweepError = error?.message || 'Failed to run scenario sweep';
+            this.scenarios = [];
+            this.chart = null;
+        }
+    }
+
+    buildScenario(value, idx) {
+        const params = this.isPercentSweep
+            ? { ...this.calculationParams, calculationMode: 'percentage', targetPaymentPercentage: value }
+            : {
+                ...this.calculationParams,
+                calculationMode: 'desired_payment',
+                paymentFrequency: 'Weekly',
+                targetPaymentAmount: value
+            };
+        const result = calculatePaymentPlan(params, this.programConfig);
+        return {
+            key: `scenario-${idx}`,
+            sweepValue: value,
+            sweepLabel: this.isPercentSweep ? `${value}%` : this.formatCurrency(value),
+            weeklyPayment: result.weeklyPayment,
+            numberOfWeeks: result.numberOfWeeks,
+            totalSavings: result.totalSavings,
+            savingsPercentage: result.savingsPercentage,
+            isCurrent: this.isCurrentScenario(value)
+        };
+    }
+
+    isCurrentScenario(value) {
+        if (this.isPercentSweep) {
+            return this.calculationParams.calculationMode === 'percentage'
+                && Math.abs(Number(this.calculationParams.targetPaymentPercentage) - value) < CURRENT_TOLERANCE;
+        }
+        if (this.calculationParams.calculationMode !== 'desired_payment' || this.calculationParams.targetPaymentAmount == null) {
+            return false;
+        }
+        let weekly = Number(this.calculationParams.targetPaymentAmount);
+        if (this.calculationParams.paymentFrequency === 'Monthly') {
+            weekly = weekly / Number(this.programConfig.weeklyToMonthlyFactor);
+        }
+        return Math.abs(weekly - value) < CURRENT_TOLERANCE;
+    }
+
+    percentValues() {
+        return this.steppedRange(Number(this.percentMin), Number(this.percentMax), Number(this.percentStep))
+            .map(v => Math.round(v * 100) / 100);
+    }
+
+    amountValues() {
+        const [min, max] = this.amountRange();
+        return this.steppedRange(min, max, Number(this.amountStep)).map(v => Math.round(v * 100) / 100);
+    }
+
+    amountRange() {
+        const min = Number(this.weeklyMin) || 0;
+        // Without a current payment there is no percentage cap; sweep up to double the floor
+        const max = this.weeklyMax != null ? Number(this.weeklyMax) : min * 2;
+        return [min, Math.max(min, max)];
+    }
+
+    // Inclusive range that always ends on max; widens the step if it would exceed MAX_SCENARIOS
+    steppedRange(min, max, step) {
+        if (Number.isNaN(min) || Number.isNaN(max) || !(step > 0)) {
+            return [];
+        }
+        const span = max - min;
+        const effectiveStep = span / step > MAX_SCENARIOS - 1 ? span / (MAX_SCENARIOS - 1) : step;
+        const values = [];
+        for (let v = min; v < max - 1e-9; v += effectiveStep) {
+            values.push(v);
+        }
+        values.push(max);
+        return values;
+    }
+
+    // ---------------------------------------------------------------------------------
+    // Chart
+    // ---------------------------------------------------------------------------------
+
+    get viewBox() {
+        return `0 0 ${CHART.width} ${CHART.height}`;
+    }
+
+    get plotTop() {
+        return CHART.top;
+    }
+
+    get plotLeft() {
+        return CHART.left;
+    }
+
+    get plotRight() {
+        return CHART.width - CHART.right;
+    }
+
+    get plotBottom() {
+        return CHART.height - CHART.bottom;
+    }
+
+    get xTickY() {
+        return CHART.height - CHART.bottom + 16;
+    }
+
+    get xAxisLabelX() {
+        return (CHART.left + CHART.width - CHART.right) / 2;
+    }
+
+    get xAxisLabelY() {
+        return CHART.height - 6;
+    }
+
+    buildChart() {
+        const scenarios = this.scenarios;
+        const xs = scenarios.map(s => s.weeklyPayment);
+        const weeks = scenarios.map(s => s.numberOfWeeks);
+        const savings = scenarios.map(s => s.totalSavings);
+
+        const xDomain = this.paddedDomain(Math.min(...xs), Math.max(...xs));
+        const weeksDomain = [0, this.niceMax(Math.max(...weeks))];
+        const savingsDomain = this.paddedDomain(Math.min(0, ...savings), Math.max(0, ...savings));
+
+        const x = v => this.scale(v, xDomain, [CHART.left, CHART.width - CHART.right]);
+        const yWeeks = v => this.scale(v, weeksDomain, [CHART.height - CHART.bottom, CHART.top]);
+        const ySavings = v => this.scale(v, savingsDomain, [CHART.height - CHART.bottom, CHART.top]);
+
+        const points = scenarios.map(s => ({
+            key: s.key,
+            cx: x(s.weeklyPayment),
+            weeksY: yWeeks(s.numberOfWeeks),
+            savingsY: ySavings(s.totalSavings),
+            weeksClass: s.isCurrent ? 'point point-weeks point-current' : 'point point-weeks',
+            savingsClass: s.isCurrent ? 'point point-savings point-current' : 'point point-savings',
+            title: `${s.sweepLabel}: ${this.formatCurrency(s.weeklyPayment)}/wk, ${s.numberOfWeeks} weeks, `
+                + `${this.formatCurrency(s.totalSavings)} savings`
+        }));
+
+        return {
+            points,
+            weeksLine: points.map(p => `${p.cx},${p.weeksY}`).join(' '),
+            savingsLine: points.map(p => `${p.cx},${p.savingsY}`).join(' '),
+            zeroSavingsY: ySavings(0),
+            xTicks: this.ticks(xDomain).map((v, idx) => ({
+                key: `x${idx}`, x: x(v), label: this.formatCompactCurrency(v)
+            })),
+            weeksTicks: this.ticks(weeksDomain).map((v, idx) => ({
+                key: `w${idx}`, y: yWeeks(v), label: String(Math.round(v))
+            })),
+            savingsTicks: this.ticks(savingsDomain).map((v, idx) => ({
+                key: `s${idx}`, y: ySavings(v), label: this.formatCompactCurrency(v)
+            }))
+        };
+    }
+
+    get tableRows() {
+        return this.scenarios.map(s => ({
+            ...s,
+            weeklyDisplay: this.formatCurrency(s.weeklyPayment),
+            savingsDisplay: this.formatCurrency(s.totalSavings),
+            savingsPercentDisplay: `${Number(s.savingsPercentage || 0).toFixed(1)}%`,
+            rowClass: s.isCurrent ? 'scenario-row scenario-row-current' : 'scenario-row'
+        }));
+    }
+
+    scale(value, [d0, d1], [r0, r1]) {
+        if (d1 === d0) {
+            return (r0 + r1) / 2;
+        }
+        return Math.round((r0 + ((value - d0) / (d1 - d0)) * (r1 - r0)) * 10) / 10;
+    }
+
+    paddedDomain(min, max) {
+        if (min === max) {
+            const pad = Math.abs(min) * 0.1 || 1;
+            return [min - pad, max + pad];
+        }
+        return [min, max];
+    }
+
+    niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        return Math.ceil(value / magnitude) * magnitude;
+    }
+
+    ticks([min, max]) {
+        const step = (max - min) / (TICK_COUNT - 1);
+        return Array.from({ length: TICK_COUNT }, (_, idx) => min + step * idx);
+    }
+
+    formatCurrency(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 2
+        }).format(value || 0);
+    }
+
+    formatCompactCurrency(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            notation: 'compact',
+            maximumFractionDigits: 1
+        }).format(value || 0);
+    }
+}
@@ -5,6 +5,7 @@
  * @date January 2026
  */
 import { LightningElement, api, track } from 'lwc';
+import { loadBankingCalendar, adjustDraftDate, describeAdjustment, WEEKENDS_ONLY } from 'c/bankingCalendar';
 
 export default class SegmentBuilder extends LightningElement {
     @api isReadOnly = false;
@@ -24,6 +25,19 @@ export default class SegmentBuilder extends LightningElement {
 
     @track _segments = [];
 
+    // Segment start dates are rolled onto banking days; weekends only until the calendar loads
+    bankingCalendar = WEEKENDS_ONLY;
+
+    connectedCallback() {
+        loadBankingCalendar()
+            .then(calendar => {
+                this.bankingCalendar = calendar;
+            })
+            .catch(error => {
+                console.error('Error loading banking calendar:', error);
+            });
+    }
+
     @api
     get segments() {
         return this._segments;
@@ -58,7 +72,7 @@ export default class SegmentBuilder extends LightningElement {
             showCountField: seg.segmentType === 'Fixed' || seg.segmentType === 'SolveAmount',
             isFirstSegment: index === 0,
             isLastSegment: index === lastIndex,
-            showOptionalHint: index !== 0, // Show hint for non-first segments
+            showOptionalHint: index !== 0 && !seg.startDateNote, // Show hint for non-first segments
             startDateRequired: index === 0
         }));
     }
@@ -96,6 +110,15 @@ export default class SegmentBuilder extends LightningElement {
             [field]: value
         };
 
+        // A start date on a weekend or bank holiday moves to the next (or previous) banking day
+        if (field === 'startDate') {
+            const adjustment = value ? adjustDraftDate(value, this.bankingCalendar) : null;
+            segments[index].startDate = adjustment ? adjustment.date : value;
+            segments[index].startDateNote = adjustment?.isAdjusted
+                ? describeAdjustment(adjustment.originalDate, adjustment.reason)
+                : null;
+        }
+
         // Reset dependent fields when segment type changes
         if (field === 'segmentType') {
             if (value === 'Remainder') {
@@ -97,6 +97,21 @@ export default class SummaryStats extends LightningElement {
         return this.parseDateSafe(raw);
     }
 
+    // The figures as displayed, for documents built from this summary (e.g. the client proposal PDF)
+    @api
+    getSummaryFigures() {
+        const firstDraft = this.computedFirstDraftDate;
+        return {
+            newWeeklyPayment: this.computedNewWeeklyPayment,
+            weeksToPayoff: this.computedWeeksToPayoff,
+            weeklySavings: this.computedWeeklySavings,
+            estimatedTotalSavings: this.computedEstimatedTotalSavings,
+            firstDraftDate: firstDraft
+                ? `${firstDraft.getFullYear()}-${String(firstDraft.getMonth() + 1).padStart(2, '0')}-${String(firstDraft.getDate()).padStart(2, '0')}`
+                : null
+        };
+    }
+
     // Safely parse date strings (e.g., 'YYYY-MM-DD') into a local Date
     // Returns undefined if input is falsy to let lightning-formatted-date-time render nothing
     parseDateSafe(value) {